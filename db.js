@@ -19,11 +19,97 @@ async function initDb() {
         id BIGSERIAL PRIMARY KEY,
         email TEXT UNIQUE NOT NULL,
         password_hash TEXT NOT NULL,
-        role TEXT NOT NULL CHECK (role IN ('admin','student','employer')),
+        role TEXT NOT NULL CHECK (role IN ('admin','coordinator','auditor','student','employer')),
+        must_change_password BOOLEAN DEFAULT false,
+        account_status TEXT NOT NULL DEFAULT 'active',
+        deactivated_at TIMESTAMPTZ,
+        deactivated_by BIGINT,
+        status_before_deactivation TEXT,
+        failed_login_count INT DEFAULT 0,
+        last_failed_login_at TIMESTAMPTZ,
+        locked_until TIMESTAMPTZ,
+        totp_secret TEXT,
+        totp_enabled BOOLEAN DEFAULT false,
+        totp_enabled_at TIMESTAMPTZ,
+        totp_last_step BIGINT,
+        last_login_at TIMESTAMPTZ,
         created_at TIMESTAMPTZ DEFAULT NOW()
       );
     `);
 
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS account_status TEXT NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS deactivated_by BIGINT,
+      ADD COLUMN IF NOT EXISTS status_before_deactivation TEXT,
+      ADD COLUMN IF NOT EXISTS failed_login_count INT DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS totp_last_step BIGINT,
+      ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ;
+    `);
+
+    // Staff roles were added after launch; widen the original CHECK in place.
+    await client.query(`
+      ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+    `);
+    await client.query(`
+      ALTER TABLE users
+      ADD CONSTRAINT users_role_check
+      CHECK (role IN ('admin','coordinator','auditor','student','employer'));
+    `);
+
+    /* ================= TWO-FACTOR RECOVERY CODES ================= */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id BIGSERIAL PRIMARY KEY,
+        user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        used_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    /* ================= SESSIONS ================= */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id BIGSERIAL PRIMARY KEY,
+        sid TEXT UNIQUE NOT NULL,
+        sess JSONB NOT NULL,
+        user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON user_sessions (user_id);
+    `);
+
+    /* ================= LOGIN ATTEMPTS ================= */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id BIGSERIAL PRIMARY KEY,
+        email TEXT NOT NULL,
+        ip_address TEXT,
+        succeeded BOOLEAN NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS login_attempts_ip_created_idx
+      ON login_attempts (ip_address, created_at);
+    `);
+
     /* ================= STUDENTS ================= */
     await client.query(`
       CREATE TABLE IF NOT EXISTS students (
@@ -52,6 +138,7 @@ async function initDb() {
         exit_type TEXT,
         credential TEXT,
         ssn TEXT,
+        ssn_last4 TEXT,
         ssn_not_provided BOOLEAN DEFAULT false,
         date_of_birth DATE,
         sex TEXT,
@@ -88,6 +175,7 @@ async function initDb() {
       ADD COLUMN IF NOT EXISTS state TEXT DEFAULT '',
       ADD COLUMN IF NOT EXISTS zip_code TEXT DEFAULT '',
       ADD COLUMN IF NOT EXISTS ssn TEXT,
+      ADD COLUMN IF NOT EXISTS ssn_last4 TEXT,
       ADD COLUMN IF NOT EXISTS ssn_not_provided BOOLEAN DEFAULT false,
       ADD COLUMN IF NOT EXISTS date_of_birth DATE,
       ADD COLUMN IF NOT EXISTS sex TEXT,
@@ -172,6 +260,32 @@ async function initDb() {
         email TEXT NOT NULL,
         requested_role TEXT,
         note TEXT,
+        user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+        status TEXT,
+        decision_note TEXT,
+        reviewed_at TIMESTAMPTZ,
+        reviewed_by BIGINT REFERENCES users(id),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      ALTER TABLE access_requests
+      ADD COLUMN IF NOT EXISTS user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS status TEXT,
+      ADD COLUMN IF NOT EXISTS decision_note TEXT,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS reviewed_by BIGINT REFERENCES users(id);
+    `);
+
+    /* ================= PASSWORD RESET TOKENS ================= */
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id BIGSERIAL PRIMARY KEY,
+        user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ,
         created_at TIMESTAMPTZ DEFAULT NOW()
       );
     `);
@@ -199,9 +313,95 @@ async function initDb() {
       ALTER TABLE student_documents
       ADD COLUMN IF NOT EXISTS approval_status TEXT DEFAULT 'approved',
       ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ,
-      ADD COLUMN IF NOT EXISTS approved_by BIGINT REFERENCES users(id);
+      ADD COLUMN IF NOT EXISTS approved_by BIGINT REFERENCES users(id),
+      ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+      ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS rejected_by BIGINT REFERENCES users(id),
+      ADD COLUMN IF NOT EXISTS replaces_document_id BIGINT
+        REFERENCES student_documents(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS expires_on DATE;
+    `);
+
+    // One row per reminder stage sent, so each stage is emailed at most once per document.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_expiry_reminders (
+        document_id BIGINT REFERENCES student_documents(id) ON DELETE CASCADE,
+        stage TEXT NOT NULL,
+        sent_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (document_id, stage)
+      );
+    `);
+
+    // Older uploads stay on file for audit once a newer version replaces them.
+    await client.query(`
+      UPDATE student_documents d
+      SET superseded_at = n.created_at
+      FROM student_documents n
+      WHERE n.replaces_document_id = d.id AND d.superseded_at IS NULL;
+    `);
+
+    // Status history per document: uploaded, rejected, resubmitted, approved.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_document_events (
+        id BIGSERIAL PRIMARY KEY,
+        document_id BIGINT REFERENCES student_documents(id) ON DELETE CASCADE,
+        student_id BIGINT REFERENCES students(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        note TEXT,
+        actor_user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS student_document_events_student_idx
+      ON student_document_events (student_id, created_at);
+    `);
+
+    // Documents uploaded before the history existed get their known events once.
+    await client.query(`
+      INSERT INTO student_document_events
+        (document_id, student_id, event, note, actor_user_id, created_at)
+      SELECT d.id, d.student_id, 'uploaded', NULL, d.uploaded_by_user_id, d.created_at
+      FROM student_documents d
+      WHERE NOT EXISTS (SELECT 1 FROM student_document_events e WHERE e.document_id = d.id)
+      UNION ALL
+      SELECT d.id, d.student_id, 'approved', NULL, d.approved_by, d.approved_at
+      FROM student_documents d
+      WHERE d.approval_status = 'approved' AND d.approved_at IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM student_document_events e WHERE e.document_id = d.id)
+      UNION ALL
+      SELECT d.id, d.student_id, 'rejected', d.rejection_reason, d.rejected_by, d.rejected_at
+      FROM student_documents d
+      WHERE d.approval_status = 'rejected' AND d.rejected_at IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM student_document_events e WHERE e.document_id = d.id);
     `);
 
+    /* ================= REQUIRED DOCUMENT TYPES ================= */
+    // Blank program_name / student_status means the rule applies to every program / status.
+    const requirementsTable = await client.query(
+      `SELECT to_regclass('required_document_types') AS existing`
+    );
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS required_document_types (
+        id BIGSERIAL PRIMARY KEY,
+        doc_type TEXT NOT NULL,
+        program_name TEXT,
+        student_status TEXT,
+        created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    // Starting requirements; after the first run the list is managed from the admin portal.
+    if (!requirementsTable.rows[0].existing) {
+      await client.query(`
+        INSERT INTO required_document_types (doc_type)
+        VALUES ('ID'), ('RAPIDS Agreement');
+      `);
+    }
+
     /* ================= STUDENT PROFILE CHANGE REQUESTS ================= */
     await client.query(`
       CREATE TABLE IF NOT EXISTS student_profile_change_requests (
@@ -213,10 +413,58 @@ async function initDb() {
         status TEXT NOT NULL DEFAULT 'pending',
         created_at TIMESTAMPTZ DEFAULT NOW(),
         reviewed_at TIMESTAMPTZ,
-        reviewed_by BIGINT REFERENCES users(id)
+        reviewed_by BIGINT REFERENCES users(id),
+        decision_note TEXT,
+        applied_fields JSONB
       );
     `);
 
+    await client.query(`
+      ALTER TABLE student_profile_change_requests
+      ADD COLUMN IF NOT EXISTS decision_note TEXT,
+      ADD COLUMN IF NOT EXISTS applied_fields JSONB;
+    `);
+
+    /* ================= STUDENT FIELD HISTORY ================= */
+    // One row per changed field; rows written by the same save share a version number.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS student_field_history (
+        id BIGSERIAL PRIMARY KEY,
+        student_id BIGINT REFERENCES students(id) ON DELETE CASCADE,
+        version INT NOT NULL,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        source TEXT,
+        changed_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS student_field_history_student_idx
+      ON student_field_history (student_id, version);
+    `);
+
+    // SSN history rows may only say that a value existed. Older rows carried the last four
+    // digits, so they are masked once, right before the CHECK that keeps digits out is added.
+    const ssnHistoryCheck = await client.query(
+      `SELECT 1 FROM pg_constraint WHERE conname = 'student_field_history_ssn_masked'`
+    );
+    if (!ssnHistoryCheck.rows.length) {
+      await client.query(`
+        UPDATE student_field_history
+        SET old_value = CASE WHEN old_value IS NULL THEN NULL ELSE '•••-••-••••' END,
+            new_value = CASE WHEN new_value IS NULL THEN NULL ELSE '•••-••-••••' END
+        WHERE field = 'ssn';
+      `);
+      await client.query(`
+        ALTER TABLE student_field_history
+        ADD CONSTRAINT student_field_history_ssn_masked
+        CHECK (field <> 'ssn' OR (old_value !~ '[0-9]' AND new_value !~ '[0-9]'));
+      `);
+    }
+
     /* ================= EMPLOYER DOCUMENTS ================= */
     await client.query(`
       CREATE TABLE IF NOT EXISTS employer_documents (
@@ -233,6 +481,19 @@ async function initDb() {
       );
     `);
 
+    await client.query(`
+      ALTER TABLE employer_documents
+      ADD COLUMN IF NOT EXISTS replaces_document_id BIGINT
+        REFERENCES employer_documents(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS approval_status TEXT DEFAULT 'approved',
+      ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS approved_by BIGINT REFERENCES users(id),
+      ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+      ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS rejected_by BIGINT REFERENCES users(id);
+    `);
+
     /* ================= MESSAGE BOARD ================= */
     await client.query(`
       CREATE TABLE IF NOT EXISTS messages (
@@ -246,6 +507,47 @@ async function initDb() {
       );
     `);
 
+    /* ================= AUDIT LOG ================= */
+    // No foreign keys on purpose: entries must outlive the users and records they describe.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        actor_user_id BIGINT,
+        actor_email TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT,
+        entity_id BIGINT,
+        student_id BIGINT,
+        employer_id BIGINT,
+        before_values JSONB,
+        after_values JSONB,
+        details TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+      CREATE INDEX IF NOT EXISTS audit_log_student_id_idx ON audit_log (student_id);
+      CREATE INDEX IF NOT EXISTS audit_log_actor_user_id_idx ON audit_log (actor_user_id);
+    `);
+
+    // Append-only: the database itself refuses edits and deletes.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_block_changes() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await client.query(`
+      DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+      CREATE TRIGGER audit_log_append_only
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_block_changes();
+    `);
+
     /* ================= PORTAL MESSAGES ================= */
     await client.query(`
       CREATE TABLE IF NOT EXISTS portal_messages (
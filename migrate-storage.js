@@ -0,0 +1,85 @@
+// migrate-storage.js — COPY DOCUMENT FILES BETWEEN STORAGE BACKENDS
+//
+//   npm run migrate-storage -- --from local --to s3 [--delete-source]
+//
+// Both backends are configured from the same environment the server uses (see storage.js).
+// Every stored_filename referenced by student or employer documents, plus every quarantined
+// upload, is copied unless the target already has it; --delete-source removes each file
+// from the source once copied.
+// Safe to re-run: already-copied files are skipped. Switch STORAGE_BACKEND afterwards.
+const { pool } = require("./db");
+const { QUARANTINE_PREFIX, createStorage } = require("./storage");
+
+function parseArgs(argv) {
+  const args = { deleteSource: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--from") args.from = argv[(i += 1)];
+    else if (argv[i] === "--to") args.to = argv[(i += 1)];
+    else if (argv[i] === "--delete-source") args.deleteSource = true;
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  if (!args.from || !args.to) throw new Error("Both --from and --to are required");
+  if (args.from === args.to) throw new Error("--from and --to must be different backends");
+  return args;
+}
+
+async function migrate({ from, to, deleteSource }) {
+  const source = createStorage(process.env, from);
+  const target = createStorage(process.env, to);
+
+  const { rows } = await pool.query(
+    `SELECT stored_filename FROM student_documents
+     UNION
+     SELECT stored_filename FROM employer_documents
+     ORDER BY stored_filename`
+  );
+  const keys = rows.map((r) => r.stored_filename);
+
+  // Quarantined uploads have no document row but are kept as evidence, so they move too.
+  let quarantined = [];
+  try {
+    quarantined = await source.list(QUARANTINE_PREFIX);
+  } catch (err) {
+    console.warn(`⚠️ Couldn't list quarantined files on ${from}; they were not copied:`, err.message);
+  }
+  keys.push(...quarantined);
+
+  const counts = { copied: 0, skipped: 0, missing: 0, failed: 0 };
+  for (const key of keys) {
+    try {
+      if (await target.exists(key)) {
+        counts.skipped += 1;
+      } else {
+        const file = await source.get(key);
+        if (!file) {
+          console.warn(`⚠️ Missing from ${from}: ${key}`);
+          counts.missing += 1;
+          continue;
+        }
+        await target.put(key, file.stream, file.size);
+        counts.copied += 1;
+      }
+      if (deleteSource) await source.remove(key);
+    } catch (err) {
+      console.error(`❌ ${key}:`, err.message);
+      counts.failed += 1;
+    }
+  }
+
+  console.log(
+    `📁 ${from} → ${to}: ${counts.copied} copied, ${counts.skipped} already present, ` +
+      `${counts.missing} missing, ${counts.failed} failed ` +
+      `(${keys.length} files, ${quarantined.length} quarantined)`
+  );
+  return counts;
+}
+
+migrate(parseArgs(process.argv.slice(2)))
+  .then((counts) => {
+    process.exitCode = counts.failed ? 1 : 0;
+  })
+  .catch((err) => {
+    console.error("❌ Storage migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
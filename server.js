@@ -4,10 +4,25 @@ const session = require("express-session");
 const bcrypt = require("bcryptjs");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const { pipeline } = require("stream/promises");
 const multer = require("multer");
+const contentDisposition = require("content-disposition");
 const nodemailer = require("nodemailer");
 const crypto = require("crypto");
+const { authenticator } = require("otplib");
+const QRCode = require("qrcode");
 const { pool, initDb } = require("./db");
+const { PgSessionStore } = require("./session-store");
+const { SsnCipher, parseKeys, ssnLast4 } = require("./ssn-crypto");
+const {
+  FILE_TYPES,
+  HEAD_BYTES,
+  detectFileType,
+  detectFileTypeFromHead,
+  createScanner,
+} = require("./upload-scan");
+const { QUARANTINE_PREFIX, createStorage } = require("./storage");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,6 +51,18 @@ const DOC_TYPES = [
   "Other",
 ];
 
+// File types accepted per document type; checked against the file's contents, not its name.
+const DOC_TYPE_FILE_TYPES = {
+  ID: ["pdf", "jpeg", "png", "heic"],
+  "Apprentice Card": ["pdf", "jpeg", "png", "heic"],
+  "Journeyman Certificate": ["pdf", "jpeg", "png", "heic"],
+  Transcript: ["pdf", "docx"],
+  "Completion Certificate": ["pdf", "jpeg", "png"],
+  "Affidavit of Experience": ["pdf", "docx"],
+  "RAPIDS Agreement": ["pdf"],
+  Other: ["pdf", "jpeg", "png", "heic", "docx"],
+};
+
 const STUDENT_ID_TYPES = [
   "None",
   "Driver License",
@@ -56,6 +83,7 @@ const STUDENT_CHANGE_FIELDS = new Set([
   "phone",
   "employer_name",
   "ssn",
+  "ssn_last4",
   "ssn_not_provided",
   "date_of_birth",
   "sex",
@@ -89,11 +117,102 @@ const STUDENT_CHANGE_FIELDS = new Set([
   "credential",
 ]);
 
+// Login throttling: failures beyond the free allowance wait 1s, 2s, 4s… (capped) before the next try.
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_IP_FREE_ATTEMPTS = 10;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+const LOGIN_LOCKOUT_THRESHOLD = 10;
+const LOGIN_LOCKOUT_MINUTES = 15;
+const LOGIN_IP_WINDOW_MINUTES = 15;
+const LOGIN_IP_MAX_FAILURES = 50;
+
+// Staff roles all use the admin dashboard; what each can do there comes from ROLE_PERMISSIONS.
+const STAFF_ROLES = ["admin", "coordinator", "auditor"];
+
+const PERMISSIONS = [
+  "dashboard.view",
+  "students.view",
+  "students.create",
+  "students.edit",
+  "students.delete",
+  "employers.view",
+  "employers.create",
+  "employers.edit",
+  "employers.delete",
+  "ssn.view",
+  "docs.view",
+  "docs.upload",
+  "docs.approve",
+  "docs.delete",
+  "docs.requirements",
+  "changes.approve",
+  "messages.edit",
+  "registrations.review",
+  "records.purge",
+  "users.manage",
+  "audit.view",
+];
+
+const ROLE_PERMISSIONS = {
+  admin: new Set(PERMISSIONS),
+  coordinator: new Set([
+    "dashboard.view",
+    "students.view",
+    "students.create",
+    "students.edit",
+    "employers.view",
+    "employers.create",
+    "employers.edit",
+    "docs.view",
+    "docs.upload",
+    "docs.approve",
+    "docs.requirements",
+    "changes.approve",
+    "messages.edit",
+    "registrations.review",
+  ]),
+  auditor: new Set([
+    "dashboard.view",
+    "students.view",
+    "employers.view",
+    "docs.view",
+    "audit.view",
+  ]),
+};
+
+// Two-factor: TOTP is mandatory for these roles and optional for everyone else.
+const TWO_FACTOR_REQUIRED_ROLES = new Set(STAFF_ROLES);
+const TWO_FACTOR_PENDING_MINUTES = 10;
+const TWO_FACTOR_ISSUER = "AEI Portal";
+const RECOVERY_CODE_COUNT = 10;
+
+authenticator.options = { window: 1 };
+
+// SECURITY: SSNs are encrypted at rest; production must supply real keys (see ssn-crypto.js).
+let ssnKeys;
+try {
+  ssnKeys = parseKeys(process.env.SSN_ENCRYPTION_KEYS);
+} catch (err) {
+  console.error("❌ SSN_ENCRYPTION_KEYS is invalid:", err.message);
+  process.exit(1);
+}
+if (!ssnKeys.size) {
+  if (isProduction) {
+    console.error("❌ SSN_ENCRYPTION_KEYS missing in production. Set it in Render Environment.");
+    process.exit(1);
+  }
+  console.warn("⚠️ SSN_ENCRYPTION_KEYS not set. Using an insecure development key.");
+  ssnKeys = new Map([["dev", crypto.createHash("sha256").update("aei-dev-ssn-key").digest()]]);
+}
+const ssnCipher = new SsnCipher(ssnKeys);
+
 /* ===================== BOOTSTRAP DB ===================== */
 (async () => {
   try {
     await initDb();
+    await encryptStoredSsns();
     console.log("✅ Database initialized");
+    startExpiryReminders();
   } catch (err) {
     console.error("❌ Database init failed:", err);
     process.exit(1);
@@ -118,19 +237,99 @@ if (isProduction && (!SESSION_SECRET || SESSION_SECRET.trim().length < 20)) {
   process.exit(1);
 }
 
+// Idle timeout slides with every request; the absolute timeout counts from login.
+const SESSION_IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES || 30);
+const SESSION_ABSOLUTE_HOURS = Number(process.env.SESSION_ABSOLUTE_HOURS || 12);
+
+const sessionStore = new PgSessionStore({ pool, idleMinutes: SESSION_IDLE_MINUTES });
+
 app.use(
   session({
+    store: sessionStore,
     secret: SESSION_SECRET || "dev-secret",
     resave: false,
     saveUninitialized: false,
+    rolling: true,
     cookie: {
       httpOnly: true,
       sameSite: "lax",
       secure: isProduction,
+      maxAge: SESSION_IDLE_MINUTES * 60 * 1000,
     },
   })
 );
 
+app.use((req, res, next) => {
+  const loginAt = req.session.loginAt;
+  if (
+    req.session.user &&
+    (!loginAt || Date.now() - loginAt > SESSION_ABSOLUTE_HOURS * 60 * 60 * 1000)
+  ) {
+    return req.session.destroy(() =>
+      res.redirect(
+        "/login?msg=" + encodeURIComponent("Your session expired. Please log in again.")
+      )
+    );
+  }
+  next();
+});
+
+/* ===================== CSRF ===================== */
+// One token per session, rendered into every form as _csrf and checked on every state-changing request.
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  }
+  return req.session.csrfToken;
+}
+
+function isValidCsrfToken(req) {
+  const expected = req.session && req.session.csrfToken;
+  const submitted = (req.body && req.body._csrf) || req.get("x-csrf-token");
+  if (!expected || typeof submitted !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(submitted);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function rejectCsrf(req, res) {
+  // A multipart upload has already been written to disk by the time we can check it.
+  if (req.file && req.file.path) fs.unlink(req.file.path, () => {});
+
+  return res.status(403).render("csrf-error", {
+    backUrl: req.session.user ? homePathForRole(req.session.user.role) : "/login",
+  });
+}
+
+// Multipart bodies aren't parsed yet at this point; the upload routes (all ".../docs/upload")
+// run verifyCsrf after multer. Multipart posts anywhere else carry no readable token.
+const isUploadPath = (p) => /\/docs\/upload$/.test(p);
+
+const csrfProtection = (req, res, next) => {
+  res.locals.csrfToken = getCsrfToken(req);
+
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+  if (req.is("multipart/form-data")) {
+    return isUploadPath(req.path) ? next() : rejectCsrf(req, res);
+  }
+  if (!isValidCsrfToken(req)) return rejectCsrf(req, res);
+  next();
+};
+
+const verifyCsrf = (req, res, next) => {
+  if (!isValidCsrfToken(req)) return rejectCsrf(req, res);
+  next();
+};
+
+app.use(csrfProtection);
+
+app.use((req, res, next) => {
+  const role = req.session.user ? req.session.user.role : null;
+  res.locals.can = (permission) => hasPermission(role, permission);
+  next();
+});
+
 /* ===================== HELPERS ===================== */
 const cleanEmail = (v) => String(v || "").trim().toLowerCase();
 
@@ -144,6 +343,52 @@ const requireRole = (role) => (req, res, next) => {
   next();
 };
 
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role];
+  return Boolean(granted && granted.has(permission));
+}
+
+const requirePermission = (permission) => (req, res, next) => {
+  const user = req.session.user;
+  if (!user || !STAFF_ROLES.includes(user.role)) {
+    return res.redirect("/login");
+  }
+  if (!hasPermission(user.role, permission)) {
+    return res.redirect(
+      "/admin?msg=" + encodeURIComponent("You don't have permission to do that.")
+    );
+  }
+  next();
+};
+
+const requireLogin = (req, res, next) => {
+  if (!req.session.user) return res.redirect("/login");
+  next();
+};
+
+// Users still on an admin-issued temp password must pick their own before using the portal.
+const requirePasswordChanged = (req, res, next) => {
+  if (req.session.user && req.session.user.mustChangePassword) {
+    return res.redirect("/account/password");
+  }
+  next();
+};
+
+// Self-registered students/employers wait on /pending until staff approve them.
+const requireActiveAccount = (req, res, next) => {
+  if (req.session.user && req.session.user.accountStatus === "pending") {
+    return res.redirect("/pending");
+  }
+  next();
+};
+
+function homePathForRole(role) {
+  if (STAFF_ROLES.includes(role)) return "/admin";
+  if (role === "student") return "/student";
+  if (role === "employer") return "/employer";
+  return "/login";
+}
+
 function safeTempPassword(input) {
   const v = String(input ?? "").trim();
   return v.length ? v : null;
@@ -154,6 +399,86 @@ function randomPassword() {
   return crypto.randomBytes(12).toString("base64url"); // ~16 chars
 }
 
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Destroys every active session that belongs to the given user, optionally sparing one.
+function destroyUserSessions(userId, { exceptSessionId } = {}) {
+  return sessionStore.destroyByUser(userId, { exceptSessionId });
+}
+
+// The stored SSN is ciphertext; views only get the last four, or nothing without ssn.view.
+function maskSsn(record, canView) {
+  if (!record || !Object.prototype.hasOwnProperty.call(record, "ssn")) return record;
+  const { ssn_last4: last4, ...rest } = record;
+  if (!record.ssn) return { ...rest, ssn: record.ssn };
+  return { ...rest, ssn: canView ? `•••-••-${last4 || "••••"}` : "(restricted)" };
+}
+
+// Column values for a submitted SSN; never keep the cleartext beyond this call.
+function encryptSsnInput(raw) {
+  const plain = cleanText(raw);
+  return { ssn: ssnCipher.encrypt(plain), ssn_last4: ssnLast4(plain) };
+}
+
+// Encrypts legacy cleartext SSNs and rotates values still under a retired key.
+async function encryptStoredSsns() {
+  let updated = 0;
+
+  const students = await pool.query(
+    `SELECT id, ssn FROM students WHERE ssn IS NOT NULL AND ssn <> ''`
+  );
+  for (const row of students.rows) {
+    const next = ssnCipher.reencrypt(row.ssn);
+    if (!next) continue;
+    await pool.query(`UPDATE students SET ssn=$1, ssn_last4=$2 WHERE id=$3`, [
+      next,
+      ssnLast4(ssnCipher.decrypt(next)),
+      row.id,
+    ]);
+    updated += 1;
+  }
+
+  const changes = await pool.query(
+    `SELECT id, changes->>'ssn' AS ssn
+     FROM student_profile_change_requests
+     WHERE COALESCE(changes->>'ssn', '') <> ''`
+  );
+  for (const row of changes.rows) {
+    const next = ssnCipher.reencrypt(row.ssn);
+    if (!next) continue;
+    await pool.query(
+      `UPDATE student_profile_change_requests
+       SET changes = changes || jsonb_build_object('ssn', $1::text, 'ssn_last4', $2::text)
+       WHERE id=$3`,
+      [next, ssnLast4(ssnCipher.decrypt(next)), row.id]
+    );
+    updated += 1;
+  }
+
+  if (updated) console.log(`🔐 Encrypted ${updated} stored SSN value(s)`);
+}
+
+async function logSsnReveal(req, studentId) {
+  await recordAudit(req, {
+    action: "student.ssn_reveal",
+    entityType: "student",
+    entityId: studentId,
+    studentId,
+  });
+}
+
+function renderSsnReveal(res, { user, student, backUrl }) {
+  res.set("Cache-Control", "no-store");
+  res.render("ssn-reveal", {
+    user,
+    student,
+    ssn: ssnCipher.decrypt(student.ssn),
+    backUrl,
+  });
+}
+
 function isDuplicateEmailError(err) {
   return (
     err &&
@@ -202,6 +527,13 @@ function formatDateInput(value) {
 
 app.locals.formatDateInput = formatDateInput;
 
+// Accepts the YYYY-MM-DD a date input posts; anything else is treated as blank.
+function dateOrNull(value) {
+  const v = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return null;
+  return Number.isNaN(new Date(v).getTime()) ? null : v;
+}
+
 function numberOrNull(value) {
   if (value === null || value === undefined || String(value).trim() === "") return null;
   const n = Number(value);
@@ -239,13 +571,136 @@ function isValidEmploymentStatus(value) {
   return ["Employed", "Unemployed"].includes(normalized);
 }
 
-async function queueStudentChange({ studentId, userId, section, changes }) {
-  await pool.query(
+async function queueStudentChange(req, { studentId, userId, section, changes }) {
+  const { rows } = await pool.query(
     `INSERT INTO student_profile_change_requests
      (student_id, requested_by_user_id, section, changes)
-     VALUES ($1,$2,$3,$4)`,
+     VALUES ($1,$2,$3,$4)
+     RETURNING id`,
     [studentId, userId, section, changes]
   );
+
+  await recordAudit(req, {
+    action: "student.change_requested",
+    entityType: "change_request",
+    entityId: rows[0].id,
+    studentId,
+    after: changes,
+    details: section,
+  });
+
+  // A resubmitted section replaces whatever was still waiting for that section.
+  const superseded = await pool.query(
+    `UPDATE student_profile_change_requests
+     SET status='superseded',
+         decision_note=$1,
+         reviewed_at=NOW()
+     WHERE student_id=$2 AND section=$3 AND status='pending' AND id<>$4
+     RETURNING id`,
+    [`Replaced by request #${rows[0].id}`, studentId, section, rows[0].id]
+  );
+  for (const old of superseded.rows) {
+    await recordAudit(req, {
+      action: "student.change_superseded",
+      entityType: "change_request",
+      entityId: old.id,
+      studentId,
+      details: `Replaced by request #${rows[0].id}`,
+    });
+  }
+}
+
+// Fields a request would write; ssn_last4 always travels with ssn.
+function changeRequestFields(change) {
+  return Object.keys(change.changes || {}).filter(
+    (f) => STUDENT_CHANGE_FIELDS.has(f) && f !== "ssn_last4"
+  );
+}
+
+/**
+ * Flags pending requests that overlap another pending request for the same student
+ * (`conflicts`) and fields that were edited after the request was submitted
+ * (`staleFields`), so approving them would overwrite newer data.
+ */
+async function annotateChangeConflicts(changes, db = pool) {
+  if (!changes.length) return changes;
+
+  const studentIds = [...new Set(changes.map((c) => c.student_id))];
+  const { rows } = await db.query(
+    `SELECT student_id, field, MAX(created_at) AS last_changed_at
+     FROM student_field_history
+     WHERE student_id = ANY($1)
+     GROUP BY student_id, field`,
+    [studentIds]
+  );
+  const lastChanged = new Map(
+    rows.map((r) => [`${r.student_id}:${r.field}`, new Date(r.last_changed_at)])
+  );
+
+  return changes.map((change) => {
+    const fields = changeRequestFields(change);
+    const conflicts = changes
+      .filter((other) => other.id !== change.id && other.student_id === change.student_id)
+      .map((other) => ({
+        id: other.id,
+        fields: changeRequestFields(other).filter((f) => fields.includes(f)),
+      }))
+      .filter((other) => other.fields.length);
+    const staleFields = fields.filter((f) => {
+      const at = lastChanged.get(`${change.student_id}:${f}`);
+      return at && at > new Date(change.created_at);
+    });
+    return { ...change, conflicts, staleFields };
+  });
+}
+
+async function notifyStudentOfChangeDecision(change, { approved, reason, skippedFields = [] }) {
+  const { rows } = await pool.query(
+    `SELECT u.email
+     FROM students s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1`,
+    [change.student_id]
+  );
+  if (!rows.length) return;
+
+  const submitted = new Date(change.created_at).toLocaleString();
+  let lines;
+  if (approved && skippedFields.length) {
+    lines = [
+      `Part of your ${change.section} update submitted ${submitted} has been approved.`,
+      "",
+      `These fields were not approved: ${skippedFields.join(", ")}`,
+      `Reason: ${reason}`,
+      "",
+      "Please correct those fields and submit them again.",
+    ];
+  } else if (approved) {
+    lines = [
+      `Your ${change.section} update submitted ${submitted} has been approved.`,
+      "",
+      "The changes are now part of your AEI profile.",
+    ];
+  } else {
+    lines = [
+      `Your ${change.section} update submitted ${submitted} was not approved.`,
+      "",
+      `Reason: ${reason}`,
+      "",
+      "Please correct the information and submit it again.",
+    ];
+  }
+  lines.push("", `Log in: ${buildLoginUrl()}`);
+
+  await sendEmail({
+    to: rows[0].email,
+    subject: !approved
+      ? "AEI Portal – Profile Update Not Approved"
+      : skippedFields.length
+        ? "AEI Portal – Profile Update Partly Approved"
+        : "AEI Portal – Profile Update Approved",
+    text: lines.join("\n"),
+  });
 }
 
 async function getPortalMessages() {
@@ -260,442 +715,2947 @@ async function getPortalMessages() {
   };
 }
 
-/* ===================== EMAIL ===================== */
-const MAIL_FROM = process.env.MAIL_FROM;
-const ADMIN_NOTIFY_EMAIL = process.env.ADMIN_NOTIFY_EMAIL;
-const BASE_URL = process.env.BASE_URL;
-let mailTransporter = null;
+/* ===================== AUDIT LOG ===================== */
+// Never copied into the log; the SSN (and its last four digits) is logged only as "changed".
+const AUDIT_SECRET_FIELDS = new Set(["password_hash", "totp_secret"]);
+const AUDIT_REDACTED_FIELDS = new Set(["ssn", "ssn_last4"]);
 
-function buildLoginUrl() {
-  if (BASE_URL && String(BASE_URL).trim().length) {
-    return `${String(BASE_URL).replace(/\/$/, "")}/login`;
-  }
-  return "/login";
+function auditValue(key, value) {
+  if (AUDIT_REDACTED_FIELDS.has(key)) return value ? "[encrypted]" : null;
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
 }
 
-function getMailTransporter() {
-  if (mailTransporter) return mailTransporter;
-
-  const host = process.env.SMTP_HOST;
-  const port = Number(process.env.SMTP_PORT || 0);
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
+function auditSnapshot(record) {
+  if (!record) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!AUDIT_SECRET_FIELDS.has(key)) out[key] = auditValue(key, value);
+  }
+  return out;
+}
 
-  if (!host || !port || !user || !pass || !MAIL_FROM) {
-    console.warn("⚠️ SMTP not configured. Email sending disabled.");
-    return null;
+// Reduces two row snapshots to just the columns that changed.
+function auditDiff(before, after) {
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of Object.keys(after)) {
+    if (AUDIT_SECRET_FIELDS.has(key)) continue;
+    const oldRaw = before[key] instanceof Date ? before[key].toISOString() : before[key];
+    const newRaw = after[key] instanceof Date ? after[key].toISOString() : after[key];
+    if (JSON.stringify(oldRaw ?? null) === JSON.stringify(newRaw ?? null)) continue;
+    changedBefore[key] = auditValue(key, before[key]);
+    changedAfter[key] = auditValue(key, after[key]);
   }
+  return { before: changedBefore, after: changedAfter };
+}
 
-  mailTransporter = nodemailer.createTransport({
-    host,
-    port,
-    secure: port === 465,
-    auth: { user, pass },
-  });
+/**
+ * Appends one entry to audit_log. The actor defaults to the logged-in user;
+ * pass `actor` for events that happen before a session exists (e.g. logins).
+ * When both `before` and `after` are given only the changed columns are kept.
+ * Pass a transaction client as `db` to write inside that transaction.
+ */
+async function recordAudit(req, entry, db = pool) {
+  const actor = entry.actor || (req.session && req.session.user) || null;
+  let before = auditSnapshot(entry.before);
+  let after = auditSnapshot(entry.after);
+  if (entry.before && entry.after) {
+    ({ before, after } = auditDiff(entry.before, entry.after));
+  }
 
-  return mailTransporter;
+  await db.query(
+    `INSERT INTO audit_log
+     (actor_user_id, actor_email, action, entity_type, entity_id, student_id, employer_id,
+      before_values, after_values, details, ip_address)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+    [
+      actor ? actor.id : null,
+      actor ? actor.email : null,
+      entry.action,
+      entry.entityType || null,
+      entry.entityId || null,
+      entry.studentId || null,
+      entry.employerId || null,
+      before,
+      after,
+      entry.details || null,
+      req.ip,
+    ]
+  );
 }
 
-async function sendEmail({ to, subject, text }) {
-  if (!to || !subject || !text) return;
+// Audits an UPDATE on a students/employers row from its before and after (RETURNING *) rows.
+async function auditRecordUpdate(req, entityType, before, after, details, db = pool) {
+  if (!before || !after) return;
+  await recordAudit(
+    req,
+    {
+      action: `${entityType}.update`,
+      entityType,
+      entityId: after.id,
+      studentId: entityType === "student" ? after.id : null,
+      employerId: entityType === "employer" ? after.id : null,
+      before,
+      after,
+      details,
+    },
+    db
+  );
+}
 
-  const transporter = getMailTransporter();
-  if (!transporter) return;
+/* ===================== STUDENT HISTORY ===================== */
+// Bookkeeping columns aren't profile data; ssn_last4 travels with ssn.
+const STUDENT_HISTORY_SKIP_FIELDS = new Set(["id", "user_id", "created_at", "ssn_last4"]);
+// History only notes that the SSN was set or changed, so it can't be restored from there.
+const STUDENT_HISTORY_NON_RESTORABLE = new Set(["ssn"]);
+const SSN_HISTORY_PLACEHOLDER = "•••-••-••••";
+
+function historyValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return formatDateInput(value);
+  return String(value);
+}
 
-  try {
-    await transporter.sendMail({
-      from: MAIL_FROM,
-      to,
-      subject,
-      text,
-    });
-  } catch (err) {
-    console.error("❌ Email send failed:", err);
-  }
+// No digits at all: the timeline is visible to staff who can't see even the last four.
+function maskedSsnValue(record) {
+  return record.ssn ? SSN_HISTORY_PLACEHOLDER : null;
 }
 
-/* ===================== UPLOADS SETUP ===================== */
 /**
- * Render note:
- * - If you attach a persistent disk, set UPLOAD_DIR to that mount path.
- * - Example: /var/data/uploads
+ * Records every changed students column as one history version, then audits the update.
+ * `before` and `after` are full rows (SELECT * / RETURNING *); `db` may be a transaction client.
  */
-const uploadDir = process.env.UPLOAD_DIR
-  ? path.resolve(process.env.UPLOAD_DIR)
-  : path.join(__dirname, "uploads");
+async function recordStudentUpdate(req, before, after, source, db = pool) {
+  if (!before || !after) return;
+
+  const changes = [];
+  for (const field of Object.keys(after)) {
+    if (STUDENT_HISTORY_SKIP_FIELDS.has(field)) continue;
+    if (field === "ssn") {
+      if ((before.ssn || null) !== (after.ssn || null)) {
+        changes.push([field, maskedSsnValue(before), maskedSsnValue(after)]);
+      }
+      continue;
+    }
+    const oldValue = historyValue(before[field]);
+    const newValue = historyValue(after[field]);
+    if (oldValue !== newValue) changes.push([field, oldValue, newValue]);
+  }
+
+  if (changes.length) {
+    const { rows } = await db.query(
+      `SELECT COALESCE(MAX(version), 0) + 1 AS version
+       FROM student_field_history
+       WHERE student_id=$1`,
+      [after.id]
+    );
+    for (const [field, oldValue, newValue] of changes) {
+      await db.query(
+        `INSERT INTO student_field_history
+         (student_id, version, field, old_value, new_value, source, changed_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+        [after.id, rows[0].version, field, oldValue, newValue, source, req.session.user.id]
+      );
+    }
+  }
 
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+  await auditRecordUpdate(req, "student", before, after, source, db);
+}
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const safe = file.originalname.replace(/[^a-zA-Z0-9._-]+/g, "_");
-    const rand = crypto.randomBytes(8).toString("hex");
-    cb(null, `${Date.now()}_${rand}_${safe}`);
-  },
-});
+/* ===================== DOCUMENTS ===================== */
+async function recordDocumentEvent(req, doc, event, note, db = pool) {
+  await db.query(
+    `INSERT INTO student_document_events (document_id, student_id, event, note, actor_user_id)
+     VALUES ($1,$2,$3,$4,$5)`,
+    [doc.id, doc.student_id, event, note || null, req.session.user.id]
+  );
+}
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
-});
+// Links each document to the older uploads it replaced (`versions`, newest first).
+function documentVersions(documents) {
+  const byId = new Map(documents.map((d) => [String(d.id), d]));
 
-/* ===================== ROOT ===================== */
-app.get("/", (req, res) => res.redirect("/login"));
+  return documents.map((doc) => {
+    const versions = [];
+    let prev = byId.get(String(doc.replaces_document_id));
+    while (prev && prev !== doc && !versions.includes(prev)) {
+      versions.push(prev);
+      prev = byId.get(String(prev.replaces_document_id));
+    }
+    return { ...doc, versions };
+  });
+}
 
-/* ===================== AUTH ===================== */
-app.get("/login", (req, res) => {
-  res.render("login", { message: req.query.msg || null });
-});
+// Older versions are reached through the document that replaced them.
+function currentDocuments(documents) {
+  return documents.filter((d) => !d.superseded_at);
+}
 
-app.post(
-  "/login",
-  wrap(async (req, res) => {
-    const email = cleanEmail(req.body.email);
-    const password = String(req.body.password || "");
+// Adds `versions` and `history` (oldest first, across all versions) to a student's documents.
+async function attachDocumentHistory(documents, studentId) {
+  const { rows } = await pool.query(
+    `SELECT e.*, u.email AS actor_email
+     FROM student_document_events e
+     LEFT JOIN users u ON u.id = e.actor_user_id
+     WHERE e.student_id = $1
+     ORDER BY e.created_at, e.id`,
+    [studentId]
+  );
 
-    const { rows } = await pool.query("SELECT * FROM users WHERE email=$1", [
-      email,
-    ]);
+  return documentVersions(documents).map((doc) => {
+    const ids = [doc, ...doc.versions].map((d) => String(d.id));
+    return { ...doc, history: rows.filter((e) => ids.includes(String(e.document_id))) };
+  });
+}
 
-    if (!rows.length || !bcrypt.compareSync(password, rows[0].password_hash)) {
-      return res.redirect(
-        "/login?msg=" + encodeURIComponent("Invalid email or password")
+/**
+ * Stores an uploaded file as a student document. With `replacesId` the new file becomes
+ * the next version of that document (same type and title) and the old one is kept as
+ * superseded. Returns `{ error }` when the file type isn't accepted for the document type,
+ * or that document can't be replaced: not the student's, already superseded, or still
+ * pending (pending uploads are withdrawn instead).
+ */
+async function insertStudentDocument(
+  req,
+  { studentId, docType, title, file, expiresOn, approved, replacesId }
+) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    let replaced = null;
+    if (replacesId) {
+      const r = await client.query(
+        `UPDATE student_documents
+         SET superseded_at=NOW()
+         WHERE id=$1 AND student_id=$2
+           AND superseded_at IS NULL
+           AND approval_status IN ('approved','rejected')
+         RETURNING *`,
+        [replacesId, studentId]
       );
+      if (!r.rows.length) {
+        await client.query("ROLLBACK");
+        return { error: "That document can no longer be replaced." };
+      }
+      replaced = r.rows[0];
+      docType = replaced.doc_type;
+      title = replaced.title;
     }
 
-    req.session.user = {
-      id: rows[0].id,
-      email: rows[0].email,
-      role: rows[0].role,
-    };
+    docType = docType || "Other";
+    if (!allowedFileTypes(docType).includes(file.fileType)) {
+      await client.query("ROLLBACK");
+      return {
+        error: `${docType} documents must be ${allowedFileTypes(docType).join(", ")} files.`,
+      };
+    }
 
-    if (rows[0].role === "admin") return res.redirect("/admin");
-    if (rows[0].role === "student") return res.redirect("/student");
-    if (rows[0].role === "employer") return res.redirect("/employer");
+    const inserted = await client.query(
+      `INSERT INTO student_documents
+       (student_id, uploaded_by_user_id, doc_type, title, original_filename, stored_filename, mime_type, file_size_bytes, approval_status, approved_at, approved_by, replaces_document_id, expires_on)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+       RETURNING id, student_id`,
+      [
+        studentId,
+        req.session.user.id,
+        docType,
+        title || file.originalname,
+        file.originalname,
+        file.filename,
+        file.mimetype || "application/octet-stream",
+        Number(file.size || 0),
+        approved ? "approved" : "pending",
+        approved ? new Date() : null,
+        approved ? req.session.user.id : null,
+        replaced ? replaced.id : null,
+        expiresOn || null,
+      ]
+    );
+    const doc = inserted.rows[0];
+
+    if (!replaced) {
+      await recordDocumentEvent(req, doc, "uploaded", null, client);
+    } else {
+      await recordDocumentEvent(
+        req,
+        doc,
+        replaced.approval_status === "rejected" ? "resubmitted" : "new version",
+        `Replaces ${replaced.original_filename}`,
+        client
+      );
+    }
+    // Staff uploads skip the review queue.
+    if (approved) await recordDocumentEvent(req, doc, "approved", null, client);
+
+    await recordAudit(
+      req,
+      {
+        action: replaced ? "document.replace" : "document.upload",
+        entityType: "student_document",
+        entityId: doc.id,
+        studentId,
+        details: replaced
+          ? `${file.originalname} (replaces #${replaced.id})`
+          : file.originalname,
+      },
+      client
+    );
 
-    return res.redirect("/login");
+    await client.query("COMMIT");
+    return { ...doc, replaced };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    // The file is already in storage; without its row nothing would ever point at it.
+    await removeStoredFiles([file.filename]);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Employer counterpart of insertStudentDocument, with the same review rules.
+async function insertEmployerDocument(req, { employerId, docType, title, file, approved, replacesId }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    let replaced = null;
+    if (replacesId) {
+      const r = await client.query(
+        `UPDATE employer_documents
+         SET superseded_at=NOW()
+         WHERE id=$1 AND employer_id=$2
+           AND superseded_at IS NULL
+           AND approval_status IN ('approved','rejected')
+         RETURNING *`,
+        [replacesId, employerId]
+      );
+      if (!r.rows.length) {
+        await client.query("ROLLBACK");
+        return { error: "That document can no longer be replaced." };
+      }
+      replaced = r.rows[0];
+      docType = replaced.doc_type;
+      title = replaced.title;
+    }
+
+    docType = docType || "Other";
+    if (!allowedFileTypes(docType).includes(file.fileType)) {
+      await client.query("ROLLBACK");
+      return {
+        error: `${docType} documents must be ${allowedFileTypes(docType).join(", ")} files.`,
+      };
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO employer_documents
+       (employer_id, uploaded_by_user_id, doc_type, title, original_filename, stored_filename, mime_type, file_size_bytes, approval_status, approved_at, approved_by, replaces_document_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+       RETURNING id, employer_id`,
+      [
+        employerId,
+        req.session.user.id,
+        docType,
+        title || file.originalname,
+        file.originalname,
+        file.filename,
+        file.mimetype || "application/octet-stream",
+        Number(file.size || 0),
+        approved ? "approved" : "pending",
+        approved ? new Date() : null,
+        approved ? req.session.user.id : null,
+        replaced ? replaced.id : null,
+      ]
+    );
+
+    await recordAudit(
+      req,
+      {
+        action: replaced ? "document.replace" : "document.upload",
+        entityType: "employer_document",
+        entityId: inserted.rows[0].id,
+        employerId,
+        details: replaced
+          ? `${file.originalname} (replaces #${replaced.id})`
+          : file.originalname,
+      },
+      client
+    );
+
+    await client.query("COMMIT");
+    return { ...inserted.rows[0], replaced };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    // The file is already in storage; without its row nothing would ever point at it.
+    await removeStoredFiles([file.filename]);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getDocumentRequirements() {
+  const { rows } = await pool.query(
+    `SELECT * FROM required_document_types
+     ORDER BY doc_type, program_name NULLS FIRST, student_status NULLS FIRST`
+  );
+  return rows;
+}
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+/**
+ * Marks each document type required for the student's program and status as
+ * approved, pending, rejected or missing, judged by their current documents.
+ */
+function documentChecklist(student, documents, requirements) {
+  const docTypes = requirements
+    .filter((r) => !r.program_name || sameText(r.program_name, student.program_name))
+    .filter((r) => !r.student_status || r.student_status === student.status)
+    .map((r) => r.doc_type);
+
+  const items = [...new Set(docTypes)].map((docType) => {
+    const current = documents.filter((d) => d.doc_type === docType && !d.superseded_at);
+    const state =
+      ["approved", "pending", "rejected"].find((st) =>
+        current.some((d) => d.approval_status === st)
+      ) || "missing";
+    return { docType, state };
+  });
+
+  return {
+    items,
+    complete: items.every((item) => item.state === "approved"),
+    outstanding: items.filter((item) => item.state !== "approved").length,
+  };
+}
+
+/**
+ * Deletes a document row and its file. Removing the current version reinstates the one before it.
+ * `entityType` is "student_document" or "employer_document".
+ */
+async function deleteDocument(req, entityType, doc, action) {
+  const table = `${entityType}s`;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM ${table} WHERE id=$1`, [doc.id]);
+    if (doc.replaces_document_id && !doc.superseded_at) {
+      await client.query(`UPDATE ${table} SET superseded_at=NULL WHERE id=$1`, [
+        doc.replaces_document_id,
+      ]);
+    }
+    await recordAudit(
+      req,
+      {
+        action,
+        entityType,
+        entityId: doc.id,
+        studentId: doc.student_id,
+        employerId: doc.employer_id,
+        before: doc,
+        details: doc.original_filename,
+      },
+      client
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await removeStoredFiles([doc.stored_filename]);
+}
+
+/* ===================== EMAIL ===================== */
+const MAIL_FROM = process.env.MAIL_FROM;
+const ADMIN_NOTIFY_EMAIL = process.env.ADMIN_NOTIFY_EMAIL;
+const BASE_URL = process.env.BASE_URL;
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 60);
+let mailTransporter = null;
+
+function buildAppUrl(pathname) {
+  if (BASE_URL && String(BASE_URL).trim().length) {
+    return `${String(BASE_URL).replace(/\/$/, "")}${pathname}`;
+  }
+  return pathname;
+}
+
+function buildLoginUrl() {
+  return buildAppUrl("/login");
+}
+
+function getMailTransporter() {
+  if (mailTransporter) return mailTransporter;
+
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 0);
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+
+  if (!host || !port || !user || !pass || !MAIL_FROM) {
+    console.warn("⚠️ SMTP not configured. Email sending disabled.");
+    return null;
+  }
+
+  mailTransporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: { user, pass },
+  });
+
+  return mailTransporter;
+}
+
+async function sendEmail({ to, subject, text }) {
+  if (!to || !subject || !text) return;
+
+  const transporter = getMailTransporter();
+  if (!transporter) return;
+
+  try {
+    await transporter.sendMail({
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+    });
+  } catch (err) {
+    console.error("❌ Email send failed:", err);
+  }
+}
+
+/* ===================== LOGIN THROTTLING ===================== */
+// Compared against when the email is unknown so response timing doesn't reveal accounts.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(randomPassword(), 10);
+
+function loginDelaySeconds(failures, freeAttempts) {
+  if (failures < freeAttempts) return 0;
+  return Math.min(2 ** (failures - freeAttempts), LOGIN_MAX_DELAY_SECONDS);
+}
+
+function secondsRemaining(since, delaySeconds) {
+  if (!since || !delaySeconds) return 0;
+  const readyAt = new Date(since).getTime() + delaySeconds * 1000;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+}
+
+async function recordLoginAttempt({ email, ip, succeeded }) {
+  await pool.query(
+    `INSERT INTO login_attempts (email, ip_address, succeeded)
+     VALUES ($1,$2,$3)`,
+    [email, ip || null, succeeded]
+  );
+}
+
+async function getIpLoginFailures(ip) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failed_at
+     FROM login_attempts
+     WHERE ip_address=$1
+       AND succeeded=false
+       AND created_at > NOW() - ($2 || ' minutes')::interval`,
+    [ip || null, String(LOGIN_IP_WINDOW_MINUTES)]
+  );
+  return rows[0];
+}
+
+// Returns true when this failure is the one that locked the account.
+async function registerFailedLogin(user) {
+  const { rows } = await pool.query(
+    `UPDATE users
+     SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0
+                                   ELSE failed_login_count + 1 END,
+         locked_until = CASE WHEN failed_login_count + 1 >= $2
+                             THEN NOW() + ($3 || ' minutes')::interval
+                             ELSE locked_until END,
+         last_failed_login_at = NOW()
+     WHERE id=$1
+     RETURNING locked_until`,
+    [user.id, LOGIN_LOCKOUT_THRESHOLD, String(LOGIN_LOCKOUT_MINUTES)]
+  );
+
+  const lockedUntil = rows[0] && rows[0].locked_until;
+  const justLocked = Boolean(lockedUntil && new Date(lockedUntil) > new Date());
+
+  if (justLocked) {
+    await sendEmail({
+      to: user.email,
+      subject: "AEI Portal – Account Temporarily Locked",
+      text: [
+        "Your AEI Portal account was locked after too many failed login attempts.",
+        "",
+        `You can try again after ${new Date(lockedUntil).toLocaleString()}.`,
+        `If this wasn't you, reset your password: ${buildAppUrl("/reset-password")}`,
+        "Contact AEI if you need the account unlocked sooner.",
+      ].join("\n"),
+    });
+  }
+
+  return justLocked;
+}
+
+async function clearFailedLogins(userId) {
+  await pool.query(
+    `UPDATE users
+     SET failed_login_count=0, last_failed_login_at=NULL, locked_until=NULL
+     WHERE id=$1`,
+    [userId]
+  );
+}
+
+/* ===================== UPLOADS SETUP ===================== */
+/**
+ * Document files live in documentStorage (see storage.js), keyed by stored_filename.
+ * Render note:
+ * - STORAGE_BACKEND=local keeps files in UPLOAD_DIR; attach a persistent disk and point
+ *   UPLOAD_DIR at its mount path (e.g. /var/data/uploads).
+ * - STORAGE_BACKEND=s3 keeps them in a bucket instead, so no disk is needed.
+ * - Move existing files between the two with `npm run migrate-storage -- --from local --to s3`.
+ */
+const documentStorage = createStorage(process.env);
+console.log(`📁 Document storage: ${documentStorage.name}`);
+
+// Multer writes each upload here first; inspectUpload moves it into documentStorage.
+const stagingDir = process.env.UPLOAD_STAGING_DIR
+  ? path.resolve(process.env.UPLOAD_STAGING_DIR)
+  : path.join(os.tmpdir(), "aei-uploads");
+
+if (!fs.existsSync(stagingDir)) fs.mkdirSync(stagingDir, { recursive: true });
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, stagingDir);
+  },
+  filename: function (req, file, cb) {
+    const safe = file.originalname.replace(/[^a-zA-Z0-9._-]+/g, "_");
+    const rand = crypto.randomBytes(8).toString("hex");
+    cb(null, `${Date.now()}_${rand}_${safe}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
+});
+
+
+const malwareScanner = createScanner(process.env);
+if (malwareScanner.name === "none") {
+  console.warn("⚠️ No malware scanner configured (CLAMAV_SOCKET / CLAMAV_HOST). Uploads are not scanned.");
+}
+
+function allowedFileTypes(docType) {
+  return DOC_TYPE_FILE_TYPES[docType] || DOC_TYPE_FILE_TYPES.Other;
+}
+
+/**
+ * Runs after multer: identifies the staged file by its magic bytes, refuses executables,
+ * unknown types and names whose extension doesn't match the contents, then scans it.
+ * On success the file is moved into documentStorage under req.file.filename,
+ * req.file.fileType is set and mimetype replaced with the detected one.
+ * The per-document-type allow-list is applied where the document type is known.
+ */
+const inspectUpload = wrap(async (req, res, next) => {
+  if (!req.file) return next();
+
+  const stagedPath = req.file.path;
+  try {
+    await inspectStagedUpload(req, res, next);
+  } finally {
+    fs.unlink(stagedPath, () => {});
+  }
+});
+
+async function inspectStagedUpload(req, res, next) {
+  // "/student/docs/upload" -> "/student", "/admin/students/5/docs/upload" -> "/admin/students/5"
+  const backUrl = req.originalUrl.split("?")[0].replace(/\/docs\/upload$/, "");
+  const refuse = (msg) => res.redirect(backUrl + "?msg=" + encodeURIComponent(msg));
+
+  const fileType = await detectFileType(req.file.path);
+  if (fileType === "executable") {
+    return refuse("Executable files can't be uploaded.");
+  }
+  if (!fileType) {
+    return refuse("Unsupported file type. Upload a PDF, JPEG, PNG, HEIC or Word (.docx) file.");
+  }
+  const ext = path.extname(req.file.originalname).toLowerCase();
+  if (!FILE_TYPES[fileType].extensions.includes(ext)) {
+    return refuse(`The file name doesn't match its contents (looks like a ${fileType} file).`);
+  }
+
+  let result;
+  try {
+    result = await malwareScanner.scan(req.file.path);
+  } catch (err) {
+    console.error("❌ Malware scan failed:", err);
+    return refuse("The file couldn't be scanned right now. Please try again later.");
+  }
+  if (!result.clean) {
+    await storeStagedFile(req.file, QUARANTINE_PREFIX + req.file.filename);
+    await recordAudit(req, {
+      action: "document.quarantined",
+      details: `${req.file.originalname}: ${result.signature}`,
+    });
+    return res.redirect(
+      backUrl +
+        "?msg=" +
+        encodeURIComponent("The file was flagged by the virus scanner and was not uploaded.")
+    );
+  }
+
+  try {
+    await storeStagedFile(req.file, req.file.filename);
+  } catch (err) {
+    console.error("❌ Storing upload failed:", err);
+    return refuse("The file couldn't be saved right now. Please try again later.");
+  }
+
+  req.file.fileType = fileType;
+  req.file.mimetype = FILE_TYPES[fileType].mime;
+  next();
+}
+
+function storeStagedFile(file, key) {
+  return documentStorage.put(key, fs.createReadStream(file.path), file.size);
+}
+
+// Every document upload form posts a single doc_file; CSRF is checked once the body is parsed.
+const uploadDocFile = [upload.single("doc_file"), verifyCsrf, inspectUpload];
+
+// Staff uploads name the owner in the URL; check it before anything reaches storage.
+function requireUploadOwner(table) {
+  return wrap(async (req, res, next) => {
+    const id = Number(req.params.id);
+    const exists =
+      Number.isInteger(id) &&
+      (await pool.query(`SELECT 1 FROM ${table} WHERE id=$1`, [id])).rowCount > 0;
+    if (!exists) return res.status(404).send("Not found");
+    next();
+  });
+}
+
+// Types that may be shown in the browser with ?inline=1, and the policy each is served under.
+// Images render in a sandboxed document; Chrome won't display a sandboxed PDF, so PDFs
+// instead get a policy that allows nothing but the plugin itself.
+const PREVIEW_CSP = {
+  pdf: "default-src 'none'; object-src 'self'; style-src 'unsafe-inline'; frame-ancestors 'self'",
+  jpeg: "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; frame-ancestors 'self'; sandbox",
+  png: "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; frame-ancestors 'self'; sandbox",
+};
+
+/**
+ * Sends a stored document as a download, or inline when ?inline=1 is asked for and the
+ * file's contents (not its recorded name or mimetype) are a previewable type.
+ * Anything else is always served as an attachment.
+ */
+async function sendDocument(req, res, doc, entityType) {
+  let fileType = null;
+  if (req.query.inline === "1") {
+    const head = await documentStorage.readHead(doc.stored_filename, HEAD_BYTES);
+    if (!head) return res.status(404).send("File missing");
+    fileType = detectFileTypeFromHead(head);
+  }
+  const inline = Boolean(PREVIEW_CSP[fileType]);
+
+  const headers = {
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, no-store",
+    "Content-Type": inline
+      ? FILE_TYPES[fileType].mime
+      : doc.mime_type || "application/octet-stream",
+    // Encodes names outside Latin-1 (filename*=UTF-8''…) instead of letting setHeader throw.
+    "Content-Disposition": contentDisposition(doc.original_filename, {
+      type: inline ? "inline" : "attachment",
+    }),
+  };
+  if (inline) headers["Content-Security-Policy"] = PREVIEW_CSP[fileType];
+
+  const file = await documentStorage.get(doc.stored_filename);
+  if (!file) return res.status(404).send("File missing");
+
+  try {
+    await recordAudit(req, {
+      action: inline ? "document.preview" : "document.download",
+      entityType,
+      entityId: doc.id,
+      studentId: doc.student_id,
+      employerId: doc.employer_id,
+      details: doc.original_filename,
+    });
+    res.set(headers);
+    if (file.size !== null) res.set("Content-Length", file.size);
+  } catch (err) {
+    file.stream.destroy();
+    throw err;
+  }
+
+  // Headers are gone by the time a mid-stream failure surfaces, so just drop the connection.
+  try {
+    await pipeline(file.stream, res);
+  } catch (err) {
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("❌ Document stream failed:", err);
+  }
+}
+
+// Lets views offer a preview ("pdf" or "image"); sendDocument still checks the file itself.
+app.locals.previewKind = (doc) => {
+  if (doc.mime_type === "application/pdf") return "pdf";
+  if (doc.mime_type === "image/jpeg" || doc.mime_type === "image/png") return "image";
+  return null;
+};
+
+/* ===================== ROOT ===================== */
+app.get("/", (req, res) => res.redirect("/login"));
+
+/* ===================== AUTH ===================== */
+function regenerateSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Starts a fresh session (so an ID planted before login is worthless), populates
+ * req.session.user, stamps last login, and returns where the user should land next.
+ */
+async function establishSession(req, account) {
+  await pool.query(`UPDATE users SET last_login_at=NOW() WHERE id=$1`, [account.id]);
+
+  await regenerateSession(req);
+  req.session.user = {
+    id: account.id,
+    email: account.email,
+    role: account.role,
+    mustChangePassword: Boolean(account.must_change_password),
+    accountStatus: account.account_status || "active",
+  };
+  req.session.loginAt = Date.now();
+  req.session.ip = req.ip;
+  req.session.userAgent = String(req.get("user-agent") || "").slice(0, 300);
+
+  await recordAudit(req, { action: "auth.login", entityType: "user", entityId: account.id });
+
+  if (req.session.user.mustChangePassword) return "/account/password";
+  if (req.session.user.accountStatus === "pending") return "/pending";
+  return homePathForRole(account.role);
+}
+
+app.get("/login", (req, res) => {
+  res.render("login", { message: req.query.msg || null });
+});
+
+app.post(
+  "/login",
+  wrap(async (req, res) => {
+    const email = cleanEmail(req.body.email);
+    const password = String(req.body.password || "");
+    const ip = req.ip;
+
+    const ipFailures = await getIpLoginFailures(ip);
+    if (ipFailures.failures >= LOGIN_IP_MAX_FAILURES) {
+      return res.redirect(
+        "/login?msg=" +
+          encodeURIComponent(
+            "Too many failed login attempts from your network. Please try again later."
+          )
+      );
+    }
+
+    const ipWaitSeconds = secondsRemaining(
+      ipFailures.last_failed_at,
+      loginDelaySeconds(ipFailures.failures, LOGIN_IP_FREE_ATTEMPTS)
+    );
+    if (ipWaitSeconds > 0) {
+      return res.redirect(
+        "/login?msg=" +
+          encodeURIComponent(
+            `Too many failed attempts. Please wait ${ipWaitSeconds} second${ipWaitSeconds === 1 ? "" : "s"} and try again.`
+          )
+      );
+    }
+
+    const { rows } = await pool.query("SELECT * FROM users WHERE email=$1", [
+      email,
+    ]);
+    const account = rows[0] || null;
+
+    // A locked or slowed-down account answers exactly like an unknown email, without
+    // checking the password, so neither the account nor a correct guess is revealed.
+    // The owner is emailed when the lock starts.
+    const locked = Boolean(
+      account && account.locked_until && new Date(account.locked_until) > new Date()
+    );
+    const throttled =
+      locked ||
+      Boolean(
+        account &&
+          secondsRemaining(
+            account.last_failed_login_at,
+            loginDelaySeconds(account.failed_login_count || 0, LOGIN_FREE_ATTEMPTS)
+          ) > 0
+      );
+
+    const passwordOk = await bcrypt.compare(
+      password,
+      account && !throttled ? account.password_hash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!account || throttled || !passwordOk) {
+      await recordLoginAttempt({ email, ip, succeeded: false });
+      const justLocked = account && !throttled ? await registerFailedLogin(account) : false;
+      let details = "Unknown email";
+      if (locked || justLocked) details = "Account locked";
+      else if (throttled) details = "Login delayed";
+      else if (account) details = "Wrong password";
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        actor: { id: account ? account.id : null, email },
+        entityType: "user",
+        entityId: account ? account.id : null,
+        details,
+      });
+
+      return res.redirect("/login?msg=" + encodeURIComponent("Invalid email or password"));
+    }
+
+    // Only someone who knows the password learns why the account can't sign in.
+    if (account.account_status === "deactivated") {
+      return res.redirect(
+        "/login?msg=" +
+          encodeURIComponent("This account has been deactivated. Contact AEI for help.")
+      );
+    }
+
+    if (account.account_status === "denied") {
+      return res.redirect(
+        "/login?msg=" +
+          encodeURIComponent("Your registration was not approved. Contact AEI with questions.")
+      );
+    }
+
+    await recordLoginAttempt({ email, ip, succeeded: true });
+    await clearFailedLogins(account.id);
+
+    // The session only gets a user once the second factor (or enrollment) is done.
+    if (account.totp_enabled || TWO_FACTOR_REQUIRED_ROLES.has(account.role)) {
+      req.session.pendingLogin = { userId: account.id, startedAt: Date.now() };
+      return res.redirect(account.totp_enabled ? "/login/2fa" : "/login/2fa/setup");
+    }
+
+    return res.redirect(await establishSession(req, account));
+  })
+);
+
+app.get("/logout", (req, res) => {
+  req.session.destroy(() => res.redirect("/login"));
+});
+
+/* ===================== TWO-FACTOR ===================== */
+// Returns the time-step the code belongs to, or null when it doesn't match the secret.
+function matchTotpStep(secret, code) {
+  const token = String(code || "").replace(/\s+/g, "");
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+  try {
+    const delta = authenticator.checkDelta(token, secret);
+    if (delta === null) return null;
+    const stepSeconds = authenticator.allOptions().step;
+    return Math.floor(Date.now() / 1000 / stepSeconds) + delta;
+  } catch (err) {
+    return null;
+  }
+}
+
+// A code is accepted once: its time-step must be newer than the last one the user spent.
+async function verifyTotp(userId, secret, code) {
+  const step = matchTotpStep(secret, code);
+  if (step === null) return false;
+
+  const { rowCount } = await pool.query(
+    `UPDATE users
+     SET totp_last_step=$2
+     WHERE id=$1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+    [userId, step]
+  );
+  return rowCount > 0;
+}
+
+async function buildTotpSetup(email, secret) {
+  const otpauthUrl = authenticator.keyuri(email, TWO_FACTOR_ISSUER, secret);
+  return { secret, qrDataUrl: await QRCode.toDataURL(otpauthUrl) };
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").replace(/[\s-]+/g, "").toLowerCase();
+}
+
+// Replaces any existing recovery codes and returns the new plaintext codes (shown once).
+async function issueRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query(`DELETE FROM user_recovery_codes WHERE user_id=$1`, [userId]);
+  for (const code of codes) {
+    await db.query(
+      `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1,$2)`,
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+async function consumeRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+
+  const { rowCount } = await pool.query(
+    `UPDATE user_recovery_codes
+     SET used_at=NOW()
+     WHERE user_id=$1 AND code_hash=$2 AND used_at IS NULL`,
+    [userId, hashToken(normalized)]
+  );
+  return rowCount > 0;
+}
+
+// `step` is the time-step of the confirming code, so that code can't be replayed afterwards.
+async function enableTotp(userId, secret, step) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `UPDATE users
+       SET totp_secret=$1, totp_enabled=true, totp_enabled_at=NOW(), totp_last_step=$3
+       WHERE id=$2`,
+      [secret, userId, step]
+    );
+    const codes = await issueRecoveryCodes(client, userId);
+    await client.query("COMMIT");
+    return codes;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Returns the user midway through login (password checked, second factor pending), if any.
+async function getPendingLoginAccount(req) {
+  const pending = req.session.pendingLogin;
+  if (!pending) return null;
+
+  if (Date.now() - pending.startedAt > TWO_FACTOR_PENDING_MINUTES * 60 * 1000) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+
+  const { rows } = await pool.query(`SELECT * FROM users WHERE id=$1`, [
+    pending.userId,
+  ]);
+  return rows[0] || null;
+}
+
+const loginExpiredRedirect = (res) =>
+  res.redirect(
+    "/login?msg=" + encodeURIComponent("Your login session expired. Please log in again.")
+  );
+
+app.get(
+  "/login/2fa",
+  wrap(async (req, res) => {
+    const account = await getPendingLoginAccount(req);
+    if (!account) return loginExpiredRedirect(res);
+    if (!account.totp_enabled) return res.redirect("/login/2fa/setup");
+
+    res.render("two-factor-login", {
+      email: account.email,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/login/2fa",
+  wrap(async (req, res) => {
+    const account = await getPendingLoginAccount(req);
+    if (!account) return loginExpiredRedirect(res);
+    if (!account.totp_enabled) return res.redirect("/login/2fa/setup");
+
+    if (account.locked_until && new Date(account.locked_until) > new Date()) {
+      delete req.session.pendingLogin;
+      return res.redirect(
+        "/login?msg=" +
+          encodeURIComponent(
+            "This account is temporarily locked after too many failed attempts. Try again later or reset your password."
+          )
+      );
+    }
+
+    const code = cleanText(req.body.code);
+    const passed =
+      (await verifyTotp(account.id, account.totp_secret, code)) ||
+      (await consumeRecoveryCode(account.id, code));
+
+    if (!passed) {
+      await recordLoginAttempt({ email: account.email, ip: req.ip, succeeded: false });
+      if (await registerFailedLogin(account)) {
+        delete req.session.pendingLogin;
+        return res.redirect(
+          "/login?msg=" +
+            encodeURIComponent("Too many failed attempts. This account is temporarily locked.")
+        );
+      }
+      return res.redirect(
+        "/login/2fa?msg=" + encodeURIComponent("Invalid authentication code.")
+      );
+    }
+
+    await clearFailedLogins(account.id);
+    delete req.session.pendingLogin;
+    return res.redirect(await establishSession(req, account));
+  })
+);
+
+app.get(
+  "/login/2fa/setup",
+  wrap(async (req, res) => {
+    const account = await getPendingLoginAccount(req);
+    if (!account) return loginExpiredRedirect(res);
+    if (account.totp_enabled) return res.redirect("/login/2fa");
+
+    if (!req.session.pendingLogin.totpSecret) {
+      req.session.pendingLogin.totpSecret = authenticator.generateSecret();
+    }
+
+    const setup = await buildTotpSetup(account.email, req.session.pendingLogin.totpSecret);
+    res.render("two-factor-setup", {
+      email: account.email,
+      ...setup,
+      action: "/login/2fa/setup",
+      required: TWO_FACTOR_REQUIRED_ROLES.has(account.role),
+      replacing: false,
+      cancelUrl: "/logout",
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/login/2fa/setup",
+  wrap(async (req, res) => {
+    const account = await getPendingLoginAccount(req);
+    if (!account) return loginExpiredRedirect(res);
+    if (account.totp_enabled) return res.redirect("/login/2fa");
+
+    const secret = req.session.pendingLogin.totpSecret;
+    const step = matchTotpStep(secret, req.body.code);
+    if (step === null) {
+      return res.redirect(
+        "/login/2fa/setup?msg=" +
+          encodeURIComponent("That code didn't match. Check your authenticator app and try again.")
+      );
+    }
+
+    const recoveryCodes = await enableTotp(account.id, secret, step);
+    delete req.session.pendingLogin;
+    const nextUrl = await establishSession(req, account);
+
+    res.render("two-factor-recovery-codes", {
+      user: req.session.user,
+      recoveryCodes,
+      continueUrl: nextUrl,
+    });
+  })
+);
+
+app.get(
+  "/account/2fa",
+  requireLogin,
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT u.totp_enabled, u.totp_enabled_at,
+              (SELECT COUNT(*)::int FROM user_recovery_codes c
+               WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_left
+       FROM users u
+       WHERE u.id=$1`,
+      [req.session.user.id]
+    );
+
+    res.render("two-factor", {
+      user: req.session.user,
+      twoFactor: rows[0] || {},
+      required: TWO_FACTOR_REQUIRED_ROLES.has(req.session.user.role),
+      homePath: homePathForRole(req.session.user.role),
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.get(
+  "/account/2fa/setup",
+  requireLogin,
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(`SELECT totp_enabled FROM users WHERE id=$1`, [
+      req.session.user.id,
+    ]);
+
+    if (!req.session.totpSetupSecret) {
+      req.session.totpSetupSecret = authenticator.generateSecret();
+    }
+
+    const setup = await buildTotpSetup(req.session.user.email, req.session.totpSetupSecret);
+    res.render("two-factor-setup", {
+      email: req.session.user.email,
+      ...setup,
+      action: "/account/2fa/setup",
+      required: false,
+      replacing: Boolean(rows.length && rows[0].totp_enabled),
+      cancelUrl: "/account/2fa",
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/account/2fa/setup",
+  requireLogin,
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT password_hash, totp_enabled FROM users WHERE id=$1`,
+      [req.session.user.id]
+    );
+    if (!rows.length) return res.redirect("/account/2fa");
+
+    // Replacing an existing authenticator needs the password, not just an open session.
+    if (rows[0].totp_enabled) {
+      const password = String(req.body.current_password || "");
+      if (!bcrypt.compareSync(password, rows[0].password_hash)) {
+        return res.redirect(
+          "/account/2fa/setup?msg=" + encodeURIComponent("Current password is incorrect.")
+        );
+      }
+    }
+
+    const secret = req.session.totpSetupSecret;
+    const step = matchTotpStep(secret, req.body.code);
+    if (step === null) {
+      return res.redirect(
+        "/account/2fa/setup?msg=" +
+          encodeURIComponent("That code didn't match. Check your authenticator app and try again.")
+      );
+    }
+
+    const recoveryCodes = await enableTotp(req.session.user.id, secret, step);
+    delete req.session.totpSetupSecret;
+
+    res.render("two-factor-recovery-codes", {
+      user: req.session.user,
+      recoveryCodes,
+      continueUrl: "/account/2fa",
+    });
+  })
+);
+
+app.post(
+  "/account/2fa/recovery-codes",
+  requireLogin,
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT totp_secret, totp_enabled FROM users WHERE id=$1`,
+      [req.session.user.id]
+    );
+    if (!rows.length || !rows[0].totp_enabled) {
+      return res.redirect("/account/2fa");
+    }
+
+    if (!(await verifyTotp(req.session.user.id, rows[0].totp_secret, req.body.code))) {
+      return res.redirect(
+        "/account/2fa?msg=" + encodeURIComponent("Invalid authentication code.")
+      );
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(pool, req.session.user.id);
+
+    res.render("two-factor-recovery-codes", {
+      user: req.session.user,
+      recoveryCodes,
+      continueUrl: "/account/2fa",
+    });
+  })
+);
+
+app.post(
+  "/account/2fa/disable",
+  requireLogin,
+  wrap(async (req, res) => {
+    if (TWO_FACTOR_REQUIRED_ROLES.has(req.session.user.role)) {
+      return res.redirect(
+        "/account/2fa?msg=" +
+          encodeURIComponent("Two-factor authentication is required for your account.")
+      );
+    }
+
+    const { rows } = await pool.query(
+      `SELECT password_hash FROM users WHERE id=$1`,
+      [req.session.user.id]
+    );
+    const password = String(req.body.current_password || "");
+    if (!rows.length || !bcrypt.compareSync(password, rows[0].password_hash)) {
+      return res.redirect(
+        "/account/2fa?msg=" + encodeURIComponent("Current password is incorrect.")
+      );
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET totp_secret=NULL, totp_enabled=false, totp_enabled_at=NULL, totp_last_step=NULL
+       WHERE id=$1`,
+      [req.session.user.id]
+    );
+    await pool.query(`DELETE FROM user_recovery_codes WHERE user_id=$1`, [
+      req.session.user.id,
+    ]);
+
+    return res.redirect(
+      "/account/2fa?msg=" + encodeURIComponent("Two-factor authentication turned off.")
+    );
+  })
+);
+
+/* ===================== REGISTER + RESET ===================== */
+app.get("/register", (req, res) => {
+  res.render("register", { message: req.query.msg || null });
+});
+
+app.post(
+  "/register",
+  wrap(async (req, res) => {
+    const email = cleanEmail(req.body.email);
+    const role = cleanText(req.body.role); // student/employer
+    const password = String(req.body.password || "");
+    const confirmPassword = String(req.body.confirm_password || "");
+    const note = cleanText(req.body.note);
+
+    if (!email || !["student", "employer"].includes(role)) {
+      return res.redirect(
+        "/register?msg=" + encodeURIComponent("Email and role are required.")
+      );
+    }
+
+    if (!password || password.length < 8) {
+      return res.redirect(
+        "/register?msg=" +
+          encodeURIComponent("Please choose a password with at least 8 characters.")
+      );
+    }
+
+    if (password !== confirmPassword) {
+      return res.redirect(
+        "/register?msg=" + encodeURIComponent("Passwords do not match.")
+      );
+    }
+
+    try {
+      const passwordHash = bcrypt.hashSync(password, 10);
+      const { rows } = await pool.query(
+        `INSERT INTO users (email, password_hash, role, account_status)
+         VALUES ($1,$2,$3,'pending')
+         RETURNING id, email, role, account_status`,
+        [email, passwordHash, role]
+      );
+
+      const userId = rows[0].id;
+
+      if (role === "student") {
+        await pool.query(`INSERT INTO students (user_id) VALUES ($1)`, [userId]);
+      } else {
+        await pool.query(`INSERT INTO employers (user_id) VALUES ($1)`, [userId]);
+      }
+
+      await pool.query(
+        `INSERT INTO access_requests (request_type, email, requested_role, note, user_id, status)
+         VALUES ('registration', $1, $2, $3, $4, 'pending')`,
+        [email, role, note, userId]
+      );
+
+      await sendEmail({
+        to: ADMIN_NOTIFY_EMAIL,
+        subject: "AEI Portal – New Self-Registration",
+        text: [
+          "A new self-registration is waiting for review.",
+          "",
+          `Email: ${email}`,
+          `Role: ${role}`,
+          `Note: ${note || "None"}`,
+          `Review: ${buildAppUrl("/admin/registrations")}`,
+        ].join("\n"),
+      });
+
+      return res.redirect(await establishSession(req, rows[0]));
+    } catch (e) {
+      if (isDuplicateEmailError(e)) {
+        return res.redirect(
+          "/register?msg=" + encodeURIComponent("Email already exists.")
+        );
+      }
+      throw e;
+    }
+  })
+);
+
+app.get("/reset-password", (req, res) => {
+  res.render("reset-password", { message: req.query.msg || null });
+});
+
+app.post(
+  "/reset-password",
+  wrap(async (req, res) => {
+    const email = cleanEmail(req.body.email);
+
+    if (!email) {
+      return res.redirect(
+        "/reset-password?msg=" + encodeURIComponent("Email is required.")
+      );
+    }
+
+    const { rows } = await pool.query(`SELECT id FROM users WHERE email=$1`, [
+      email,
+    ]);
+
+    // Kept for audit, whether or not the email matches an account.
+    await pool.query(
+      `INSERT INTO access_requests (request_type, email, requested_role, note)
+       VALUES ('reset_password', $1, '', $2)`,
+      [email, rows.length ? "Reset link emailed." : "No matching account."]
+    );
+
+    if (rows.length) {
+      const userId = rows[0].id;
+      const token = crypto.randomBytes(32).toString("base64url");
+
+      // Only the newest link is usable.
+      await pool.query(
+        `UPDATE password_reset_tokens
+         SET used_at=NOW()
+         WHERE user_id=$1 AND used_at IS NULL`,
+        [userId]
+      );
+
+      await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + ($3 || ' minutes')::interval)`,
+        [userId, hashToken(token), String(RESET_TOKEN_TTL_MINUTES)]
+      );
+
+      const resetUrl = buildAppUrl(`/reset-password/${token}`);
+      await sendEmail({
+        to: email,
+        subject: "AEI Portal – Reset Your Password",
+        text: [
+          "We received a request to reset your AEI Student Portal password.",
+          "",
+          `Reset link: ${resetUrl}`,
+          "",
+          `This link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+          "If you did not request a reset, you can ignore this email.",
+        ].join("\n"),
+      });
+    }
+
+    // Same response either way so the form can't be used to probe for accounts.
+    return res.redirect(
+      "/login?msg=" +
+        encodeURIComponent(
+          "If that email has an account, a reset link has been sent to it."
+        )
+    );
+  })
+);
+
+async function findResetToken(token) {
+  const { rows } = await pool.query(
+    `SELECT t.id, t.user_id, u.email
+     FROM password_reset_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash=$1 AND t.used_at IS NULL AND t.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+}
+
+app.get(
+  "/reset-password/:token",
+  wrap(async (req, res) => {
+    const resetToken = await findResetToken(req.params.token);
+    if (!resetToken) {
+      return res.redirect(
+        "/reset-password?msg=" +
+          encodeURIComponent("That reset link is invalid or has expired.")
+      );
+    }
+
+    res.render("reset-password-confirm", {
+      token: req.params.token,
+      email: resetToken.email,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/reset-password/:token",
+  wrap(async (req, res) => {
+    const token = String(req.params.token || "");
+    const password = String(req.body.password || "");
+    const confirmPassword = String(req.body.confirm_password || "");
+    const formUrl = `/reset-password/${encodeURIComponent(token)}`;
+
+    if (!password || password.length < 8) {
+      return res.redirect(
+        `${formUrl}?msg=` +
+          encodeURIComponent("Please choose a password with at least 8 characters.")
+      );
+    }
+
+    if (password !== confirmPassword) {
+      return res.redirect(
+        `${formUrl}?msg=` + encodeURIComponent("Passwords do not match.")
+      );
+    }
+
+    const client = await pool.connect();
+    let userId;
+    try {
+      await client.query("BEGIN");
+
+      // Consuming the token in the same statement that checks it keeps it single-use.
+      const { rows } = await client.query(
+        `UPDATE password_reset_tokens
+         SET used_at=NOW()
+         WHERE token_hash=$1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+
+      if (!rows.length) {
+        await client.query("ROLLBACK");
+        return res.redirect(
+          "/reset-password?msg=" +
+            encodeURIComponent("That reset link is invalid or has expired.")
+        );
+      }
+
+      userId = rows[0].user_id;
+
+      await client.query(
+        `UPDATE users
+         SET password_hash=$1,
+             must_change_password=false,
+             failed_login_count=0,
+             last_failed_login_at=NULL,
+             locked_until=NULL
+         WHERE id=$2`,
+        [bcrypt.hashSync(password, 10), userId]
+      );
+
+      await client.query(
+        `UPDATE password_reset_tokens
+         SET used_at=NOW()
+         WHERE user_id=$1 AND used_at IS NULL`,
+        [userId]
+      );
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await destroyUserSessions(userId);
+
+    return res.redirect(
+      "/login?msg=" +
+        encodeURIComponent("Password updated. Please log in with your new password.")
+    );
+  })
+);
+
+/* ===================== ACCOUNT ===================== */
+app.get("/account/password", requireLogin, (req, res) => {
+  res.render("change-password", {
+    user: req.session.user,
+    forced: Boolean(req.session.user.mustChangePassword),
+    homePath: homePathForRole(req.session.user.role),
+    message: req.query.msg || null,
+  });
+});
+
+app.post(
+  "/account/password",
+  requireLogin,
+  wrap(async (req, res) => {
+    const currentPassword = String(req.body.current_password || "");
+    const password = String(req.body.password || "");
+    const confirmPassword = String(req.body.confirm_password || "");
+
+    if (!password || password.length < 8) {
+      return res.redirect(
+        "/account/password?msg=" +
+          encodeURIComponent("Please choose a password with at least 8 characters.")
+      );
+    }
+
+    if (password !== confirmPassword) {
+      return res.redirect(
+        "/account/password?msg=" + encodeURIComponent("Passwords do not match.")
+      );
+    }
+
+    if (password === currentPassword) {
+      return res.redirect(
+        "/account/password?msg=" +
+          encodeURIComponent("Your new password must be different from the current one.")
+      );
+    }
+
+    const { rows } = await pool.query(
+      `SELECT password_hash FROM users WHERE id=$1`,
+      [req.session.user.id]
+    );
+
+    if (!rows.length || !bcrypt.compareSync(currentPassword, rows[0].password_hash)) {
+      return res.redirect(
+        "/account/password?msg=" + encodeURIComponent("Current password is incorrect.")
+      );
+    }
+
+    await pool.query(
+      `UPDATE users SET password_hash=$1, must_change_password=false WHERE id=$2`,
+      [bcrypt.hashSync(password, 10), req.session.user.id]
+    );
+
+    req.session.user.mustChangePassword = false;
+    await destroyUserSessions(req.session.user.id, {
+      exceptSessionId: req.sessionID,
+    });
+
+    return res.redirect(
+      homePathForRole(req.session.user.role) +
+        "?msg=" +
+        encodeURIComponent("Password updated.")
+    );
+  })
+);
+
+app.get(
+  "/account/sessions",
+  requireLogin,
+  wrap(async (req, res) => {
+    const sessions = await sessionStore.listByUser(req.session.user.id);
+
+    res.render("sessions", {
+      user: req.session.user,
+      sessions: sessions.map(({ sid, ...rest }) => ({
+        ...rest,
+        current: sid === req.sessionID,
+      })),
+      homePath: homePathForRole(req.session.user.role),
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/account/sessions/:id/revoke",
+  requireLogin,
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `DELETE FROM user_sessions
+       WHERE id=$1 AND user_id=$2
+       RETURNING sid`,
+      [Number(req.params.id), req.session.user.id]
+    );
+
+    if (rows.length && rows[0].sid === req.sessionID) {
+      return req.session.destroy(() => res.redirect("/login"));
+    }
+
+    return res.redirect(
+      "/account/sessions?msg=" +
+        encodeURIComponent(rows.length ? "Session signed out." : "Session not found.")
+    );
+  })
+);
+
+app.post(
+  "/account/sessions/revoke-others",
+  requireLogin,
+  wrap(async (req, res) => {
+    const count = await destroyUserSessions(req.session.user.id, {
+      exceptSessionId: req.sessionID,
+    });
+
+    return res.redirect(
+      "/account/sessions?msg=" +
+        encodeURIComponent(`Signed out of ${count} other session(s).`)
+    );
+  })
+);
+
+app.get(
+  "/pending",
+  requireLogin,
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT account_status FROM users WHERE id=$1`,
+      [req.session.user.id]
+    );
+    const status = rows.length ? rows[0].account_status : null;
+
+    // Approval may have happened since login; pick it up without a re-login.
+    if (status !== "pending") {
+      req.session.user.accountStatus = status;
+      if (status === "active") return res.redirect(homePathForRole(req.session.user.role));
+      return req.session.destroy(() => res.redirect("/login"));
+    }
+
+    res.render("pending", { user: req.session.user });
+  })
+);
+
+/* ===================== DASHBOARDS ===================== */
+app.use(["/admin", "/student", "/employer"], requirePasswordChanged);
+app.use(["/student", "/employer"], requireActiveAccount);
+
+
+app.get(
+  "/admin",
+  requirePermission("dashboard.view"),
+  wrap(async (req, res) => {
+    const portalMessages = await getPortalMessages();
+    // Pending and denied self-registrations live on the registrations page until approved.
+    const students = await pool.query(
+      `SELECT s.*, u.email
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       WHERE u.account_status = 'active'
+       ORDER BY s.id DESC`
+    );
+
+    const employers = await pool.query(
+      `SELECT e.*, u.email
+       FROM employers e
+       JOIN users u ON u.id = e.user_id
+       WHERE u.account_status = 'active'
+       ORDER BY e.id DESC`
+    );
+
+    const archived = await pool.query(
+      `SELECT 'student' AS kind, s.id, u.email, u.deactivated_at,
+              TRIM(CONCAT(s.first_name, ' ', s.last_name)) AS name
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       WHERE u.account_status = 'deactivated'
+       UNION ALL
+       SELECT 'employer' AS kind, e.id, u.email, u.deactivated_at,
+              e.company_name AS name
+       FROM employers e
+       JOIN users u ON u.id = e.user_id
+       WHERE u.account_status = 'deactivated'
+       ORDER BY deactivated_at DESC`
+    );
+
+    const currentDocs = await pool.query(
+      `SELECT student_id, doc_type, approval_status, superseded_at
+       FROM student_documents
+       WHERE superseded_at IS NULL`
+    );
+    const requirements = await getDocumentRequirements();
+
+    const pendingChanges = await pool.query(
+      `SELECT c.*, s.first_name, s.last_name, u.email
+       FROM student_profile_change_requests c
+       JOIN students s ON s.id = c.student_id
+       JOIN users u ON u.id = s.user_id
+       WHERE c.status = 'pending'
+       ORDER BY c.created_at DESC`
+    );
+
+    const pendingDocs = await pool.query(
+      `SELECT d.*, s.first_name, s.last_name, u.email,
+              prev.rejection_reason AS replaced_rejection_reason
+       FROM student_documents d
+       JOIN students s ON s.id = d.student_id
+       JOIN users u ON u.id = s.user_id
+       LEFT JOIN student_documents prev ON prev.id = d.replaces_document_id
+       WHERE d.approval_status = 'pending'
+       ORDER BY d.created_at DESC`
+    );
+
+    const pendingEmployerDocs = await pool.query(
+      `SELECT d.*, e.company_name, u.email,
+              prev.rejection_reason AS replaced_rejection_reason
+       FROM employer_documents d
+       JOIN employers e ON e.id = d.employer_id
+       JOIN users u ON u.id = e.user_id
+       LEFT JOIN employer_documents prev ON prev.id = d.replaces_document_id
+       WHERE d.approval_status = 'pending'
+       ORDER BY d.created_at DESC`
+    );
+
+    const expiringWindow = EXPIRY_REPORT_WINDOWS.includes(Number(req.query.expiring))
+      ? Number(req.query.expiring)
+      : Math.max(...EXPIRY_REPORT_WINDOWS);
+    const expiringDocs = await getExpiringDocuments(Math.max(...EXPIRY_REPORT_WINDOWS));
+
+    const lockedUsers = await pool.query(
+      `SELECT id, email, role, locked_until
+       FROM users
+       WHERE locked_until > NOW()
+       ORDER BY locked_until DESC`
+    );
+
+    const pendingRegistrations = await pool.query(
+      `SELECT COUNT(*)::int AS cnt
+       FROM access_requests
+       WHERE request_type='registration' AND status='pending'`
+    );
+
+    const staffUsers = await pool.query(
+      `SELECT id, email, role, created_at
+       FROM users
+       WHERE role = ANY($1)
+       ORDER BY email`,
+      [STAFF_ROLES]
+    );
+
+    const docsByStudent = new Map();
+    for (const d of currentDocs.rows) {
+      const key = String(d.student_id);
+      if (!docsByStudent.has(key)) docsByStudent.set(key, []);
+      docsByStudent.get(key).push(d);
+    }
+
+    const studentsWithIndicators = students.rows.map((s) => {
+      const r = rapidsReadiness(s);
+      return {
+        ...s,
+        rapids_label: r.label,
+        rapids_code: r.code,
+        docs_count: (docsByStudent.get(String(s.id)) || []).length,
+        docs_checklist: documentChecklist(s, docsByStudent.get(String(s.id)) || [], requirements),
+      };
+    });
+
+    res.render("admin", {
+      user: req.session.user,
+      portalMessages,
+      students: studentsWithIndicators,
+      employers: employers.rows,
+      archived: archived.rows,
+      pendingChanges: (await annotateChangeConflicts(pendingChanges.rows)).map((c) => ({
+        ...c,
+        changes: maskSsn(c.changes, hasPermission(req.session.user.role, "ssn.view")),
+      })),
+      pendingDocs: pendingDocs.rows,
+      pendingEmployerDocs: pendingEmployerDocs.rows,
+      expiringDocs: expiringDocs.filter((d) => d.days_left <= expiringWindow),
+      expiringCounts: EXPIRY_REPORT_WINDOWS.map((days) => ({
+        days,
+        count: expiringDocs.filter((d) => d.days_left <= days).length,
+      })),
+      expiringWindow,
+      lockedUsers: lockedUsers.rows,
+      staffUsers: staffUsers.rows,
+      pendingRegistrationCount: pendingRegistrations.rows[0].cnt,
+      STAFF_ROLES,
+      LEVELS,
+      STUDENT_STATUSES,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/admin/portal-messages",
+  requirePermission("messages.edit"),
+  wrap(async (req, res) => {
+    const studentMessage = cleanText(req.body.student_message);
+    const employerMessage = cleanText(req.body.employer_message);
+    const bothMessage = cleanText(req.body.both_message);
+
+    const entries = [
+      ["student", studentMessage],
+      ["employer", employerMessage],
+      ["both", bothMessage],
+    ];
+
+    for (const [targetRole, message] of entries) {
+      await pool.query(
+        `INSERT INTO portal_messages (target_role, message, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (target_role)
+         DO UPDATE SET message = EXCLUDED.message, updated_at = NOW()`,
+        [targetRole, message]
+      );
+    }
+
+    return res.redirect(
+      "/admin?msg=" + encodeURIComponent("Portal messages updated.")
+    );
+  })
+);
+
+/* ===================== ADMIN: REGISTRATIONS ===================== */
+app.get(
+  "/admin/registrations",
+  requirePermission("registrations.review"),
+  wrap(async (req, res) => {
+    const pending = await pool.query(
+      `SELECT r.*, u.created_at AS user_created_at
+       FROM access_requests r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.request_type='registration' AND r.status='pending'
+       ORDER BY r.created_at ASC`
+    );
+
+    const recent = await pool.query(
+      `SELECT r.*, rv.email AS reviewer_email
+       FROM access_requests r
+       LEFT JOIN users rv ON rv.id = r.reviewed_by
+       WHERE r.request_type='registration' AND r.status IN ('approved','denied')
+       ORDER BY r.reviewed_at DESC
+       LIMIT 25`
+    );
+
+    res.render("admin-registrations", {
+      user: req.session.user,
+      pending: pending.rows,
+      recent: recent.rows,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/admin/registrations/:id/:decision",
+  requirePermission("registrations.review"),
+  wrap(async (req, res) => {
+    const requestId = Number(req.params.id);
+    const decision = req.params.decision;
+    const decisionNote = cleanText(req.body.decision_note);
+
+    if (!Number.isFinite(requestId) || !["approve", "deny"].includes(decision)) {
+      return res.redirect(
+        "/admin/registrations?msg=" + encodeURIComponent("Invalid request.")
+      );
+    }
+
+    const approved = decision === "approve";
+
+    const { rows } = await pool.query(
+      `UPDATE access_requests
+       SET status=$1, decision_note=$2, reviewed_at=NOW(), reviewed_by=$3
+       WHERE id=$4 AND request_type='registration' AND status='pending'
+       RETURNING user_id, email, requested_role`,
+      [approved ? "approved" : "denied", decisionNote, req.session.user.id, requestId]
+    );
+
+    if (!rows.length) {
+      return res.redirect(
+        "/admin/registrations?msg=" + encodeURIComponent("Registration not found.")
+      );
+    }
+
+    const registration = rows[0];
+    // An archived account stays archived; the decision applies when it is reactivated.
+    await pool.query(
+      `UPDATE users
+       SET status_before_deactivation = CASE WHEN account_status = 'deactivated'
+                                             THEN $1 ELSE status_before_deactivation END,
+           account_status = CASE WHEN account_status = 'deactivated'
+                                 THEN account_status ELSE $1 END
+       WHERE id=$2`,
+      [approved ? "active" : "denied", registration.user_id]
+    );
+
+    if (!approved) await destroyUserSessions(registration.user_id);
+
+    await recordAudit(req, {
+      action: approved ? "registration.approved" : "registration.denied",
+      entityType: "user",
+      entityId: registration.user_id,
+      details: decisionNote,
+    });
+
+    const emailLines = approved
+      ? [
+          `Your AEI Portal ${registration.requested_role} registration has been approved.`,
+          "",
+          `Log in to complete your profile: ${buildLoginUrl()}`,
+        ]
+      : [
+          `Your AEI Portal ${registration.requested_role} registration was not approved.`,
+          "",
+          "Contact AEI if you have questions.",
+        ];
+    if (decisionNote) emailLines.push("", `Note from AEI: ${decisionNote}`);
+
+    await sendEmail({
+      to: registration.email,
+      subject: approved
+        ? "AEI Portal – Registration Approved"
+        : "AEI Portal – Registration Not Approved",
+      text: emailLines.join("\n"),
+    });
+
+    return res.redirect(
+      "/admin/registrations?msg=" +
+        encodeURIComponent(approved ? "Registration approved." : "Registration denied.")
+    );
   })
 );
 
-app.get("/logout", (req, res) => {
-  req.session.destroy(() => res.redirect("/login"));
-});
+app.post(
+  "/admin/users/:id/unlock",
+  requirePermission("users.manage"),
+  wrap(async (req, res) => {
+    const userId = Number(req.params.id);
+    if (!Number.isFinite(userId)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
+    }
 
-/* ===================== REGISTER + RESET ===================== */
-app.get("/register", (req, res) => {
-  res.render("register", { message: req.query.msg || null });
-});
+    const { rowCount } = await pool.query(`SELECT 1 FROM users WHERE id=$1`, [userId]);
+    if (!rowCount) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("User not found."));
+    }
+
+    await clearFailedLogins(userId);
+    await recordAudit(req, { action: "user.unlocked", entityType: "user", entityId: userId });
+
+    return res.redirect("/admin?msg=" + encodeURIComponent("Account unlocked."));
+  })
+);
+
+// Only same-site admin pages are accepted as a post-action redirect target.
+function adminReturnPath(returnTo) {
+  const value = String(returnTo || "");
+  return /^\/admin(\/[\w/-]*)?$/.test(value) ? value : "/admin";
+}
 
 app.post(
-  "/register",
+  "/admin/users/:id/sessions/revoke",
+  requirePermission("users.manage"),
+  wrap(async (req, res) => {
+    const userId = Number(req.params.id);
+    const backUrl = adminReturnPath(req.body.return_to);
+
+    if (!Number.isFinite(userId)) {
+      return res.redirect(backUrl + "?msg=" + encodeURIComponent("Invalid request."));
+    }
+
+    const count = await destroyUserSessions(userId);
+    await recordAudit(req, {
+      action: "user.sessions_revoked",
+      entityType: "user",
+      entityId: userId,
+      details: `${count} session(s)`,
+    });
+
+    return res.redirect(
+      backUrl + "?msg=" + encodeURIComponent(`Signed out ${count} session(s).`)
+    );
+  })
+);
+
+// Credentials are only managed here for portal users; staff manage their own.
+async function findPortalAccount(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, email, role, account_status
+     FROM users
+     WHERE id=$1 AND role IN ('student','employer')`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+app.post(
+  "/admin/users/:id/email",
+  requirePermission("users.manage"),
   wrap(async (req, res) => {
+    const userId = Number(req.params.id);
+    const backUrl = adminReturnPath(req.body.return_to);
     const email = cleanEmail(req.body.email);
-    const role = cleanText(req.body.role); // student/employer
-    const password = String(req.body.password || "");
-    const confirmPassword = String(req.body.confirm_password || "");
-    const note = cleanText(req.body.note);
 
-    if (!email || !["student", "employer"].includes(role)) {
+    const account = Number.isFinite(userId) ? await findPortalAccount(userId) : null;
+    if (!account) {
+      return res.redirect(backUrl + "?msg=" + encodeURIComponent("User not found."));
+    }
+    if (!email) {
+      return res.redirect(backUrl + "?msg=" + encodeURIComponent("Email required"));
+    }
+    if (email === account.email) {
       return res.redirect(
-        "/register?msg=" + encodeURIComponent("Email and role are required.")
+        backUrl + "?msg=" + encodeURIComponent("That is already the account email.")
       );
     }
 
-    if (!password || password.length < 8) {
-      return res.redirect(
-        "/register?msg=" +
-          encodeURIComponent("Please choose a password with at least 8 characters.")
-      );
+    try {
+      await pool.query(`UPDATE users SET email=$1 WHERE id=$2`, [email, userId]);
+    } catch (e) {
+      if (isDuplicateEmailError(e)) {
+        return res.redirect(
+          backUrl + "?msg=" + encodeURIComponent("Email already exists")
+        );
+      }
+      throw e;
     }
 
-    if (password !== confirmPassword) {
+    // Reset links went to the old address; sessions still carry it.
+    await pool.query(
+      `UPDATE password_reset_tokens
+       SET used_at=NOW()
+       WHERE user_id=$1 AND used_at IS NULL`,
+      [userId]
+    );
+    await destroyUserSessions(userId);
+
+    await recordAudit(req, {
+      action: "user.email_changed",
+      entityType: "user",
+      entityId: userId,
+      before: { email: account.email },
+      after: { email },
+    });
+
+    const noticeText = [
+      "The login email for your AEI Portal account was changed by AEI staff.",
+      "",
+      `Old email: ${account.email}`,
+      `New email: ${email}`,
+      "",
+      `Log in with the new email: ${buildLoginUrl()}`,
+      "",
+      "If you did not expect this change, contact AEI.",
+    ].join("\n");
+
+    await sendEmail({
+      to: email,
+      subject: "AEI Portal – Login Email Changed",
+      text: noticeText,
+    });
+    await sendEmail({
+      to: account.email,
+      subject: "AEI Portal – Login Email Changed",
+      text: noticeText,
+    });
+
+    return res.redirect(
+      backUrl + "?msg=" + encodeURIComponent(`Login email changed to ${email}.`)
+    );
+  })
+);
+
+app.post(
+  "/admin/users/:id/resend-credentials",
+  requirePermission("users.manage"),
+  wrap(async (req, res) => {
+    const userId = Number(req.params.id);
+    const backUrl = adminReturnPath(req.body.return_to);
+
+    const account = Number.isFinite(userId) ? await findPortalAccount(userId) : null;
+    if (!account) {
+      return res.redirect(backUrl + "?msg=" + encodeURIComponent("User not found."));
+    }
+    if (account.account_status === "deactivated") {
       return res.redirect(
-        "/register?msg=" + encodeURIComponent("Passwords do not match.")
+        backUrl + "?msg=" + encodeURIComponent("Reactivate the account first.")
       );
     }
 
-    try {
-      const passwordHash = bcrypt.hashSync(password, 10);
-      const { rows } = await pool.query(
-        `INSERT INTO users (email, password_hash, role)
-         VALUES ($1,$2,$3)
-         RETURNING id, email, role`,
-        [email, passwordHash, role]
-      );
+    const password = randomPassword();
+    await pool.query(
+      `UPDATE users
+       SET password_hash=$1,
+           must_change_password=true,
+           failed_login_count=0,
+           last_failed_login_at=NULL,
+           locked_until=NULL
+       WHERE id=$2`,
+      [bcrypt.hashSync(password, 10), userId]
+    );
+    await pool.query(
+      `UPDATE password_reset_tokens
+       SET used_at=NOW()
+       WHERE user_id=$1 AND used_at IS NULL`,
+      [userId]
+    );
+    await destroyUserSessions(userId);
+    await recordAudit(req, {
+      action: "user.credentials_reset",
+      entityType: "user",
+      entityId: userId,
+    });
 
-      const userId = rows[0].id;
+    await sendEmail({
+      to: account.email,
+      subject: "AEI Portal – Your Account Details",
+      text: [
+        "AEI staff issued you a new temporary password.",
+        "",
+        `Email: ${account.email}`,
+        `Temporary password: ${password}`,
+        `Login: ${buildLoginUrl()}`,
+        "",
+        "You will be asked to choose a new password the next time you log in.",
+      ].join("\n"),
+    });
 
-      if (role === "student") {
-        await pool.query(`INSERT INTO students (user_id) VALUES ($1)`, [userId]);
-      } else {
-        await pool.query(`INSERT INTO employers (user_id) VALUES ($1)`, [userId]);
+    return res.redirect(backUrl + "?msg=" + encodeURIComponent("New credentials emailed."));
+  })
+);
+
+/* ===================== ADMIN: STUDENT CHANGE REVIEW ===================== */
+// Display value for the review page; SSNs only ever appear masked.
+function changeReviewValue(field, source, canViewSsn) {
+  if (field === "ssn") {
+    if (!source.ssn) return "";
+    return canViewSsn ? `•••-••-${source.ssn_last4 || "••••"}` : "(restricted)";
+  }
+  return historyValue(source[field]) ?? "";
+}
+
+function changeReviewRows(change, student, canViewSsn) {
+  const changes = change.changes || {};
+  return Object.keys(changes)
+    .filter((field) => STUDENT_CHANGE_FIELDS.has(field) && field !== "ssn_last4")
+    .map((field) => {
+      const changed =
+        field === "ssn"
+          ? ssnCipher.decrypt(student.ssn) !== ssnCipher.decrypt(changes.ssn)
+          : historyValue(student[field]) !== historyValue(changes[field]);
+      return {
+        field,
+        current: changeReviewValue(field, student, canViewSsn),
+        proposed: changeReviewValue(field, changes, canViewSsn),
+        changed,
+      };
+    });
+}
+
+/**
+ * Marks a pending change request decided and writes the approved fields to the
+ * student. Returns null when the request was already decided elsewhere.
+ */
+async function applyChangeRequest(req, change, before, { fields, skipped, reason }, db = pool) {
+  const status = skipped.length ? "partially_approved" : "approved";
+  const claimed = await db.query(
+    `UPDATE student_profile_change_requests
+     SET status=$1,
+         applied_fields=$2,
+         decision_note=$3,
+         reviewed_at=NOW(),
+         reviewed_by=$4
+     WHERE id=$5 AND status='pending'
+     RETURNING id`,
+    [status, JSON.stringify(fields), reason || null, req.session.user.id, change.id]
+  );
+  if (!claimed.rows.length) return null;
+
+  if (fields.length) {
+    const changes = change.changes || {};
+    const setClauses = fields.map((field, idx) => `${field}=$${idx + 1}`);
+    const values = fields.map((field) => changes[field]);
+    values.push(change.student_id);
+    const updated = await db.query(
+      `UPDATE students SET ${setClauses.join(", ")}
+       WHERE id=$${fields.length + 1}
+       RETURNING *`,
+      values
+    );
+    await recordStudentUpdate(
+      req,
+      before,
+      updated.rows[0],
+      `Approved change request #${change.id}`,
+      db
+    );
+  }
+
+  await recordAudit(
+    req,
+    {
+      action: skipped.length ? "student.change_partially_approved" : "student.change_approved",
+      entityType: "change_request",
+      entityId: change.id,
+      studentId: change.student_id,
+      after: { applied_fields: fields, skipped_fields: skipped },
+      details: reason ? `${change.section}: ${reason}` : change.section,
+    },
+    db
+  );
+  return status;
+}
+
+async function rejectChangeRequest(req, changeId, reason, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE student_profile_change_requests
+     SET status='rejected',
+         decision_note=$1,
+         reviewed_at=NOW(),
+         reviewed_by=$2
+     WHERE id=$3 AND status='pending'
+     RETURNING *`,
+    [reason, req.session.user.id, changeId]
+  );
+  if (!rows.length) return null;
+
+  const change = rows[0];
+  await recordAudit(
+    req,
+    {
+      action: "student.change_rejected",
+      entityType: "change_request",
+      entityId: changeId,
+      studentId: change.student_id,
+      details: `${change.section}: ${reason}`,
+    },
+    db
+  );
+  return change;
+}
+
+async function approveStudentDocument(req, docId, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE student_documents
+     SET approval_status='approved',
+         approved_at=NOW(),
+         approved_by=$1
+     WHERE id=$2 AND approval_status='pending'
+     RETURNING id, student_id, original_filename`,
+    [req.session.user.id, docId]
+  );
+  if (!rows.length) return null;
+
+  await recordDocumentEvent(req, rows[0], "approved", null, db);
+
+  await recordAudit(
+    req,
+    {
+      action: "document.approved",
+      entityType: "student_document",
+      entityId: docId,
+      studentId: rows[0].student_id,
+      details: rows[0].original_filename,
+    },
+    db
+  );
+  return rows[0];
+}
+
+async function rejectStudentDocument(req, docId, reason, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE student_documents
+     SET approval_status='rejected',
+         rejection_reason=$1,
+         rejected_at=NOW(),
+         rejected_by=$2
+     WHERE id=$3 AND approval_status='pending'
+     RETURNING id, student_id, title, original_filename`,
+    [reason, req.session.user.id, docId]
+  );
+  if (!rows.length) return null;
+
+  await recordDocumentEvent(req, rows[0], "rejected", reason, db);
+
+  await recordAudit(
+    req,
+    {
+      action: "document.rejected",
+      entityType: "student_document",
+      entityId: docId,
+      studentId: rows[0].student_id,
+      details: `${rows[0].original_filename}: ${reason}`,
+    },
+    db
+  );
+  return rows[0];
+}
+
+async function notifyStudentOfDocumentRejection(doc, reason) {
+  const { rows } = await pool.query(
+    `SELECT u.email
+     FROM students s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1`,
+    [doc.student_id]
+  );
+  if (!rows.length) return;
+
+  await sendEmail({
+    to: rows[0].email,
+    subject: "AEI Portal – Document Not Approved",
+    text: [
+      `Your document "${doc.title}" (${doc.original_filename}) was not approved.`,
+      "",
+      `Reason: ${reason}`,
+      "",
+      "Please upload a corrected copy from your profile.",
+      "",
+      `Log in: ${buildLoginUrl()}`,
+    ].join("\n"),
+  });
+}
+
+async function approveEmployerDocument(req, docId, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE employer_documents
+     SET approval_status='approved',
+         approved_at=NOW(),
+         approved_by=$1
+     WHERE id=$2 AND approval_status='pending'
+     RETURNING id, employer_id, original_filename`,
+    [req.session.user.id, docId]
+  );
+  if (!rows.length) return null;
+
+  await recordAudit(
+    req,
+    {
+      action: "document.approved",
+      entityType: "employer_document",
+      entityId: docId,
+      employerId: rows[0].employer_id,
+      details: rows[0].original_filename,
+    },
+    db
+  );
+  return rows[0];
+}
+
+async function rejectEmployerDocument(req, docId, reason, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE employer_documents
+     SET approval_status='rejected',
+         rejection_reason=$1,
+         rejected_at=NOW(),
+         rejected_by=$2
+     WHERE id=$3 AND approval_status='pending'
+     RETURNING id, employer_id, title, original_filename`,
+    [reason, req.session.user.id, docId]
+  );
+  if (!rows.length) return null;
+
+  await recordAudit(
+    req,
+    {
+      action: "document.rejected",
+      entityType: "employer_document",
+      entityId: docId,
+      employerId: rows[0].employer_id,
+      details: `${rows[0].original_filename}: ${reason}`,
+    },
+    db
+  );
+  return rows[0];
+}
+
+async function notifyEmployerOfDocumentRejection(doc, reason) {
+  const { rows } = await pool.query(
+    `SELECT u.email
+     FROM employers e
+     JOIN users u ON u.id = e.user_id
+     WHERE e.id = $1`,
+    [doc.employer_id]
+  );
+  if (!rows.length) return;
+
+  await sendEmail({
+    to: rows[0].email,
+    subject: "AEI Portal – Document Not Approved",
+    text: [
+      `Your document "${doc.title}" (${doc.original_filename}) was not approved.`,
+      "",
+      `Reason: ${reason}`,
+      "",
+      "Please upload a corrected copy from your employer portal.",
+      "",
+      `Log in: ${buildLoginUrl()}`,
+    ].join("\n"),
+  });
+}
+
+/**
+ * Runs `handler(client, id)` for each id inside one transaction. Each item gets its
+ * own savepoint so a failure only undoes that item. Handlers return an error string
+ * to skip the item, or a function to run once the batch has committed (e.g. email).
+ */
+async function runReviewBatch(ids, handler) {
+  const succeeded = [];
+  const failed = [];
+  const afterCommit = [];
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const id of ids) {
+      await client.query("SAVEPOINT review_item");
+      try {
+        const result = await handler(client, id);
+        if (typeof result === "string") {
+          await client.query("ROLLBACK TO SAVEPOINT review_item");
+          failed.push({ id, reason: result });
+          continue;
+        }
+        await client.query("RELEASE SAVEPOINT review_item");
+        succeeded.push(id);
+        if (typeof result === "function") afterCommit.push(result);
+      } catch (err) {
+        console.error(`Bulk review of #${id} failed:`, err);
+        await client.query("ROLLBACK TO SAVEPOINT review_item");
+        failed.push({ id, reason: "unexpected error" });
       }
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
 
-      await sendEmail({
-        to: ADMIN_NOTIFY_EMAIL,
-        subject: "AEI Portal – New Self-Registration",
-        text: [
-          "A new self-registered account was created.",
-          "",
-          `Email: ${email}`,
-          `Role: ${role}`,
-          `Note: ${note || "None"}`,
-        ].join("\n"),
-      });
+  for (const fn of afterCommit) await fn();
+  return { succeeded, failed };
+}
+
+function bulkIds(value) {
+  return [...new Set([].concat(value || []).map(Number))].filter(Number.isFinite);
+}
+
+function bulkSummary(verb, { succeeded, failed }) {
+  const total = succeeded.length + failed.length;
+  let msg = `${verb} ${succeeded.length} of ${total}.`;
+  if (failed.length) {
+    msg += ` Skipped: ${failed.map((f) => `#${f.id} (${f.reason})`).join(", ")}.`;
+  }
+  return msg;
+}
+
+app.get(
+  "/admin/student-changes/:changeId",
+  requirePermission("students.view"),
+  wrap(async (req, res) => {
+    const changeId = Number(req.params.changeId);
+    const { rows } = await pool.query(
+      `SELECT c.*, rv.email AS reviewer_email
+       FROM student_profile_change_requests c
+       LEFT JOIN users rv ON rv.id = c.reviewed_by
+       WHERE c.id=$1`,
+      [changeId]
+    );
+    if (!rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Change request not found."));
+    }
+
+    let change = rows[0];
+    const s = await pool.query(
+      `SELECT s.*, u.email
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id=$1`,
+      [change.student_id]
+    );
+
+    if (change.status === "pending") {
+      const pending = await pool.query(
+        `SELECT * FROM student_profile_change_requests
+         WHERE student_id=$1 AND status='pending'`,
+        [change.student_id]
+      );
+      const annotated = await annotateChangeConflicts(pending.rows);
+      change = { ...change, ...annotated.find((c) => c.id === change.id) };
+    }
+
+    res.render("admin-student-change", {
+      user: req.session.user,
+      change,
+      student: s.rows[0],
+      rows: changeReviewRows(
+        change,
+        s.rows[0],
+        hasPermission(req.session.user.role, "ssn.view")
+      ).map((row) => ({
+        ...row,
+        stale: Boolean(change.staleFields && change.staleFields.includes(row.field)),
+      })),
+      message: req.query.msg || null,
+    });
+  })
+);
+
+/**
+ * Works out what approving one change request means, on a transaction client that has
+ * locked the request (and the student row). Returns { redirect } when it can't go ahead,
+ * otherwise { change, before, fields, skipped, reason } ready for applyChangeRequest.
+ */
+async function planChangeApproval(req, changeId, db) {
+  const { rows } = await db.query(
+    `SELECT * FROM student_profile_change_requests
+     WHERE id=$1 AND status='pending'
+     FOR UPDATE`,
+    [changeId]
+  );
+  if (!rows.length) {
+    return { redirect: "/admin?msg=" + encodeURIComponent("Change request not found.") };
+  }
+
+  const change = rows[0];
+  const proposed = Object.keys(change.changes || {}).filter((f) =>
+    STUDENT_CHANGE_FIELDS.has(f)
+  );
+
+  // The review page sends the ticked fields; the dashboard button approves everything.
+  const reviewed = req.body.reviewed === "1";
+  const backUrl = reviewed ? `/admin/student-changes/${changeId}` : "/admin";
 
-      req.session.user = {
-        id: userId,
-        email: rows[0].email,
-        role: rows[0].role,
+  if (!reviewed) {
+    const [annotated] = await annotateChangeConflicts([change], db);
+    if (annotated.staleFields.length) {
+      return {
+        redirect:
+          `/admin/student-changes/${changeId}?msg=` +
+          encodeURIComponent(
+            "The profile changed after this request was submitted. Review it field by field."
+          ),
       };
-
-      return res.redirect(role === "student" ? "/student" : "/employer");
-    } catch (e) {
-      if (isDuplicateEmailError(e)) {
-        return res.redirect(
-          "/register?msg=" + encodeURIComponent("Email already exists.")
-        );
-      }
-      throw e;
     }
-  })
-);
+  }
+  const selected = new Set([].concat(req.body.fields || []));
+  if (selected.has("ssn")) selected.add("ssn_last4");
+
+  const before = await db.query(`SELECT * FROM students WHERE id=$1 FOR UPDATE`, [
+    change.student_id,
+  ]);
+  const fields = reviewed ? proposed.filter((f) => selected.has(f)) : proposed;
+  // Leaving an unchanged field unticked is a no-op, not a rejection.
+  const skipped = changeReviewRows(change, before.rows[0], false)
+    .filter((row) => row.changed && !fields.includes(row.field))
+    .map((row) => row.field);
+  const reason = cleanText(req.body.reason);
+
+  if (reviewed && !fields.length) {
+    return {
+      redirect:
+        backUrl +
+        "?msg=" +
+        encodeURIComponent("Select at least one field to approve, or reject the request."),
+    };
+  }
+  if (skipped.length && !reason) {
+    return {
+      redirect:
+        backUrl +
+        "?msg=" +
+        encodeURIComponent("Give a reason for the fields you are not approving."),
+    };
+  }
 
-app.get("/reset-password", (req, res) => {
-  res.render("reset-password", { message: req.query.msg || null });
-});
+  return { change, before: before.rows[0], fields, skipped, reason };
+}
 
 app.post(
-  "/reset-password",
+  "/admin/student-changes/:changeId/approve",
+  requirePermission("changes.approve"),
   wrap(async (req, res) => {
-    const email = cleanEmail(req.body.email);
-    const note = cleanText(req.body.note);
-
-    if (!email) {
-      return res.redirect(
-        "/reset-password?msg=" + encodeURIComponent("Email is required.")
-      );
+    const changeId = Number(req.params.changeId);
+    if (!Number.isFinite(changeId)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
     }
 
-    await pool.query(
-      `INSERT INTO access_requests (request_type, email, requested_role, note)
-       VALUES ('reset_password', $1, '', $2)`,
-      [email, note]
-    );
-
-    const adminText = [
-      "New password reset request received.",
-      "",
-      `Email: ${email}`,
-      `Note: ${note || "None"}`,
-    ].join("\n");
-
-    const requesterText = [
-      "We received your password reset request for the AEI Student Portal.",
-      "AEI will follow up with next steps.",
-    ].join("\n");
-
-    await sendEmail({
-      to: ADMIN_NOTIFY_EMAIL,
-      subject: "AEI Portal – Password Reset Request",
-      text: adminText,
-    });
+    // Locked for the whole decision so a concurrent approval waits, then finds it decided.
+    const client = await pool.connect();
+    let plan;
+    try {
+      await client.query("BEGIN");
+      plan = await planChangeApproval(req, changeId, client);
+      if (!plan.redirect) {
+        await applyChangeRequest(req, plan.change, plan.before, plan, client);
+      }
+      await client.query(plan.redirect ? "ROLLBACK" : "COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+    if (plan.redirect) return res.redirect(plan.redirect);
 
-    await sendEmail({
-      to: email,
-      subject: "AEI Portal – Reset Request Received",
-      text: requesterText,
+    const { change, skipped, reason } = plan;
+    await notifyStudentOfChangeDecision(change, {
+      approved: true,
+      reason,
+      skippedFields: skipped,
     });
 
     return res.redirect(
-      "/login?msg=" +
+      "/admin?msg=" +
         encodeURIComponent(
-          "Reset request received. American Electrical Innovations Ltd. will follow up."
+          skipped.length ? "Student change partially approved." : "Student change approved."
         )
     );
   })
 );
 
-/* ===================== DASHBOARDS ===================== */
-app.get(
-  "/admin",
-  requireRole("admin"),
+app.post(
+  "/admin/student-changes/:changeId/reject",
+  requirePermission("changes.approve"),
   wrap(async (req, res) => {
-    const portalMessages = await getPortalMessages();
-    const students = await pool.query(
-      `SELECT s.*, u.email
-       FROM students s
-       JOIN users u ON u.id = s.user_id
-       ORDER BY s.id DESC`
-    );
+    const changeId = Number(req.params.changeId);
+    const reason = cleanText(req.body.reason);
+    if (!Number.isFinite(changeId)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
+    }
+    if (!reason) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("A reason is required to reject a change.")
+      );
+    }
 
-    const employers = await pool.query(
-      `SELECT e.*, u.email
-       FROM employers e
-       JOIN users u ON u.id = e.user_id
-       ORDER BY e.id DESC`
-    );
+    const change = await rejectChangeRequest(req, changeId, reason);
+    if (!change) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("Change request not found.")
+      );
+    }
 
-    const docCounts = await pool.query(
-      `SELECT student_id, COUNT(*)::int AS cnt
-       FROM student_documents
-       GROUP BY student_id`
-    );
+    await notifyStudentOfChangeDecision(change, { approved: false, reason });
 
-    const pendingChanges = await pool.query(
-      `SELECT c.*, s.first_name, s.last_name, u.email
-       FROM student_profile_change_requests c
-       JOIN students s ON s.id = c.student_id
-       JOIN users u ON u.id = s.user_id
-       WHERE c.status = 'pending'
-       ORDER BY c.created_at DESC`
+    return res.redirect(
+      "/admin?msg=" + encodeURIComponent("Student change rejected.")
     );
+  })
+);
 
-    const pendingDocs = await pool.query(
-      `SELECT d.*, s.first_name, s.last_name, u.email
-       FROM student_documents d
-       JOIN students s ON s.id = d.student_id
-       JOIN users u ON u.id = s.user_id
-       WHERE d.approval_status = 'pending'
-       ORDER BY d.created_at DESC`
-    );
+app.post(
+  "/admin/bulk/student-changes",
+  requirePermission("changes.approve"),
+  wrap(async (req, res) => {
+    const ids = bulkIds(req.body.ids);
+    const decision = req.body.decision;
+    const reason = cleanText(req.body.reason);
+    if (!ids.length || !["approve", "reject"].includes(decision)) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("Select at least one change request.")
+      );
+    }
+    if (decision === "reject" && !reason) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("A reason is required to reject changes.")
+      );
+    }
 
-    const docCountMap = new Map(
-      docCounts.rows.map((r) => [String(r.student_id), r.cnt])
-    );
+    const result = await runReviewBatch(ids, async (db, changeId) => {
+      if (decision === "reject") {
+        const change = await rejectChangeRequest(req, changeId, reason, db);
+        if (!change) return "no longer pending";
+        return () => notifyStudentOfChangeDecision(change, { approved: false, reason });
+      }
 
-    const studentsWithIndicators = students.rows.map((s) => {
-      const r = rapidsReadiness(s);
-      return {
-        ...s,
-        rapids_label: r.label,
-        rapids_code: r.code,
-        docs_count: docCountMap.get(String(s.id)) || 0,
-      };
-    });
+      const { rows } = await db.query(
+        `SELECT * FROM student_profile_change_requests
+         WHERE id=$1 AND status='pending'
+         FOR UPDATE`,
+        [changeId]
+      );
+      if (!rows.length) return "no longer pending";
 
-    res.render("admin", {
-      user: req.session.user,
-      portalMessages,
-      students: studentsWithIndicators,
-      employers: employers.rows,
-      pendingChanges: pendingChanges.rows,
-      pendingDocs: pendingDocs.rows,
-      LEVELS,
-      STUDENT_STATUSES,
-      message: req.query.msg || null,
+      // Stale requests need a field-by-field decision on the review page.
+      const [change] = await annotateChangeConflicts(rows, db);
+      if (change.staleFields.length) return "profile changed since submitted";
+
+      const before = await db.query(`SELECT * FROM students WHERE id=$1 FOR UPDATE`, [
+        change.student_id,
+      ]);
+      const fields = Object.keys(change.changes || {}).filter((f) =>
+        STUDENT_CHANGE_FIELDS.has(f)
+      );
+      await applyChangeRequest(req, change, before.rows[0], { fields, skipped: [] }, db);
+      return () => notifyStudentOfChangeDecision(change, { approved: true });
     });
+
+    return res.redirect(
+      "/admin?msg=" +
+        encodeURIComponent(
+          bulkSummary(decision === "reject" ? "Rejected" : "Approved", result)
+        )
+    );
   })
 );
 
 app.post(
-  "/admin/portal-messages",
-  requireRole("admin"),
+  "/admin/student-docs/:docId/approve",
+  requirePermission("docs.approve"),
   wrap(async (req, res) => {
-    const studentMessage = cleanText(req.body.student_message);
-    const employerMessage = cleanText(req.body.employer_message);
-    const bothMessage = cleanText(req.body.both_message);
-
-    const entries = [
-      ["student", studentMessage],
-      ["employer", employerMessage],
-      ["both", bothMessage],
-    ];
+    const docId = Number(req.params.docId);
+    if (!Number.isFinite(docId)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
+    }
 
-    for (const [targetRole, message] of entries) {
-      await pool.query(
-        `INSERT INTO portal_messages (target_role, message, updated_at)
-         VALUES ($1, $2, NOW())
-         ON CONFLICT (target_role)
-         DO UPDATE SET message = EXCLUDED.message, updated_at = NOW()`,
-        [targetRole, message]
+    const doc = await approveStudentDocument(req, docId);
+    if (!doc) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("Document not found.")
       );
     }
 
     return res.redirect(
-      "/admin?msg=" + encodeURIComponent("Portal messages updated.")
+      "/admin?msg=" + encodeURIComponent("Document approved.")
     );
   })
 );
 
 app.post(
-  "/admin/student-changes/:changeId/approve",
-  requireRole("admin"),
+  "/admin/student-docs/:docId/reject",
+  requirePermission("docs.approve"),
   wrap(async (req, res) => {
-    const changeId = Number(req.params.changeId);
-    if (!Number.isFinite(changeId)) {
+    const docId = Number(req.params.docId);
+    const reason = cleanText(req.body.reason);
+    if (!Number.isFinite(docId)) {
       return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
     }
-
-    const { rows } = await pool.query(
-      `SELECT * FROM student_profile_change_requests WHERE id=$1`,
-      [changeId]
-    );
-    if (!rows.length || rows[0].status !== "pending") {
+    if (!reason) {
       return res.redirect(
-        "/admin?msg=" + encodeURIComponent("Change request not found.")
+        "/admin?msg=" + encodeURIComponent("A reason is required to reject a document.")
       );
     }
 
-    const change = rows[0];
-    const changes = change.changes || {};
-    const fields = Object.keys(changes).filter((f) => STUDENT_CHANGE_FIELDS.has(f));
-
-    if (fields.length) {
-      const setClauses = fields.map((field, idx) => `${field}=$${idx + 1}`);
-      const values = fields.map((field) => changes[field]);
-      values.push(change.student_id);
-      await pool.query(
-        `UPDATE students SET ${setClauses.join(", ")} WHERE id=$${fields.length + 1}`,
-        values
+    const doc = await rejectStudentDocument(req, docId, reason);
+    if (!doc) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("Document not found.")
       );
     }
 
-    await pool.query(
-      `UPDATE student_profile_change_requests
-       SET status='approved',
-           reviewed_at=NOW(),
-           reviewed_by=$1
-       WHERE id=$2`,
-      [req.session.user.id, changeId]
-    );
+    await notifyStudentOfDocumentRejection(doc, reason);
 
     return res.redirect(
-      "/admin?msg=" + encodeURIComponent("Student change approved.")
+      "/admin?msg=" + encodeURIComponent("Document rejected.")
     );
   })
 );
 
 app.post(
-  "/admin/student-docs/:docId/approve",
-  requireRole("admin"),
+  "/admin/employer-docs/:docId/approve",
+  requirePermission("docs.approve"),
   wrap(async (req, res) => {
     const docId = Number(req.params.docId);
     if (!Number.isFinite(docId)) {
       return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
     }
 
-    const { rowCount } = await pool.query(
-      `UPDATE student_documents
-       SET approval_status='approved',
-           approved_at=NOW(),
-           approved_by=$1
-       WHERE id=$2 AND approval_status='pending'`,
-      [req.session.user.id, docId]
+    const doc = await approveEmployerDocument(req, docId);
+    if (!doc) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Document not found."));
+    }
+
+    return res.redirect(
+      adminReturnPath(req.body.return_to) + "?msg=" + encodeURIComponent("Document approved.")
     );
+  })
+);
 
-    if (!rowCount) {
+app.post(
+  "/admin/employer-docs/:docId/reject",
+  requirePermission("docs.approve"),
+  wrap(async (req, res) => {
+    const docId = Number(req.params.docId);
+    const reason = cleanText(req.body.reason);
+    const backUrl = adminReturnPath(req.body.return_to);
+    if (!Number.isFinite(docId)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
+    }
+    if (!reason) {
       return res.redirect(
-        "/admin?msg=" + encodeURIComponent("Document not found.")
+        backUrl + "?msg=" + encodeURIComponent("A reason is required to reject a document.")
+      );
+    }
+
+    const doc = await rejectEmployerDocument(req, docId, reason);
+    if (!doc) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Document not found."));
+    }
+
+    await notifyEmployerOfDocumentRejection(doc, reason);
+
+    return res.redirect(backUrl + "?msg=" + encodeURIComponent("Document rejected."));
+  })
+);
+
+// Bulk approve/reject for one pending-document queue, given that queue's review helpers.
+function bulkDocumentReview({ approve, reject, notifyRejected }) {
+  return wrap(async (req, res) => {
+    const ids = bulkIds(req.body.ids);
+    const decision = req.body.decision;
+    const reason = cleanText(req.body.reason);
+    if (!ids.length || !["approve", "reject"].includes(decision)) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("Select at least one document.")
+      );
+    }
+    if (decision === "reject" && !reason) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("A reason is required to reject documents.")
       );
     }
 
+    const result = await runReviewBatch(ids, async (db, docId) => {
+      if (decision === "reject") {
+        const doc = await reject(req, docId, reason, db);
+        if (!doc) return "no longer pending";
+        return () => notifyRejected(doc, reason);
+      }
+      const doc = await approve(req, docId, db);
+      return doc ? undefined : "no longer pending";
+    });
+
     return res.redirect(
-      "/admin?msg=" + encodeURIComponent("Document approved.")
+      "/admin?msg=" +
+        encodeURIComponent(
+          bulkSummary(decision === "reject" ? "Rejected" : "Approved", result)
+        )
     );
+  });
+}
+
+app.post(
+  "/admin/bulk/student-docs",
+  requirePermission("docs.approve"),
+  bulkDocumentReview({
+    approve: approveStudentDocument,
+    reject: rejectStudentDocument,
+    notifyRejected: notifyStudentOfDocumentRejection,
+  })
+);
+
+app.post(
+  "/admin/bulk/employer-docs",
+  requirePermission("docs.approve"),
+  bulkDocumentReview({
+    approve: approveEmployerDocument,
+    reject: rejectEmployerDocument,
+    notifyRejected: notifyEmployerOfDocumentRejection,
   })
 );
 
@@ -726,10 +3686,14 @@ app.get(
       [r.rows[0].id]
     );
 
+    // Rejections stay visible for a while so the student can see why and resubmit.
     const pendingChanges = await pool.query(
-      `SELECT id, section, created_at
+      `SELECT id, section, status, decision_note, created_at, reviewed_at
        FROM student_profile_change_requests
-       WHERE student_id = $1 AND status = 'pending'
+       WHERE student_id = $1
+         AND (status = 'pending'
+              OR (status IN ('rejected','partially_approved')
+                  AND reviewed_at > NOW() - INTERVAL '30 days'))
        ORDER BY created_at DESC`,
       [r.rows[0].id]
     );
@@ -738,10 +3702,11 @@ app.get(
 
     res.render("student", {
       user: req.session.user,
-      student: r.rows[0],
+      student: maskSsn(r.rows[0], true),
       DOC_TYPES,
       STUDENT_ID_TYPES,
-      documents: documents.rows,
+      documents: currentDocuments(await attachDocumentHistory(documents.rows, r.rows[0].id)),
+      checklist: documentChecklist(r.rows[0], documents.rows, await getDocumentRequirements()),
       pendingChanges: pendingChanges.rows,
       portalMessages,
       message: req.query.msg || null,
@@ -749,6 +3714,31 @@ app.get(
   })
 );
 
+app.post(
+  "/student/ssn/reveal",
+  requireRole("student"),
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT s.id, s.first_name, s.last_name, s.ssn, u.email
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.user_id = $1`,
+      [req.session.user.id]
+    );
+    if (!rows.length || !rows[0].ssn) {
+      return res.redirect("/student?msg=" + encodeURIComponent("No SSN on file."));
+    }
+
+    await logSsnReveal(req, rows[0].id);
+
+    renderSsnReveal(res, {
+      user: req.session.user,
+      student: rows[0],
+      backUrl: "/student",
+    });
+  })
+);
+
 app.post(
   "/student/update-identity",
   requireRole("student"),
@@ -770,9 +3760,21 @@ app.post(
     const missing = requiredFields.filter((f) => isBlank(req.body[f]));
     const ssnNotProvided = req.body.ssn_not_provided === "on";
 
+    const s = await pool.query(`SELECT id, ssn FROM students WHERE user_id=$1`, [
+      req.session.user.id,
+    ]);
+    if (!s.rows.length) {
+      return res.redirect(
+        "/student?msg=" +
+          encodeURIComponent("Student profile not found. Contact AEI.")
+      );
+    }
+
+    // A blank SSN field keeps the one on file.
+    const ssnOnFile = Boolean(s.rows[0].ssn);
     if (
       missing.length ||
-      (!ssnNotProvided && isBlank(req.body.ssn)) ||
+      (!ssnNotProvided && isBlank(req.body.ssn) && !ssnOnFile) ||
       !isValidState(req.body.state) ||
       !isValidZip(req.body.zip_code) ||
       !isValidSex(req.body.sex) ||
@@ -780,23 +3782,20 @@ app.post(
     ) {
       return res.redirect(
         "/student?msg=" +
-          encodeURIComponent(
-            "Please complete all required identity fields with valid values."
-          )
-      );
-    }
-
-    const s = await pool.query(`SELECT id FROM students WHERE user_id=$1`, [
-      req.session.user.id,
-    ]);
-    if (!s.rows.length) {
-      return res.redirect(
-        "/student?msg=" +
-          encodeURIComponent("Student profile not found. Contact AEI.")
+          encodeURIComponent(
+            "Please complete all required identity fields with valid values."
+          )
       );
     }
 
-    await queueStudentChange({
+    let ssnChanges = {};
+    if (ssnNotProvided) {
+      ssnChanges = { ssn: null, ssn_last4: null };
+    } else if (!isBlank(req.body.ssn)) {
+      ssnChanges = encryptSsnInput(req.body.ssn);
+    }
+
+    await queueStudentChange(req, {
       studentId: s.rows[0].id,
       userId: req.session.user.id,
       section: "identity",
@@ -811,7 +3810,7 @@ app.post(
         zip_code: cleanText(req.body.zip_code),
         phone: cleanText(req.body.phone),
         employer_name: cleanText(req.body.employer_name),
-        ssn: ssnNotProvided ? null : cleanText(req.body.ssn),
+        ...ssnChanges,
         ssn_not_provided: ssnNotProvided,
         date_of_birth: req.body.date_of_birth || null,
         sex: cleanText(req.body.sex),
@@ -857,7 +3856,7 @@ app.post(
       );
     }
 
-    await queueStudentChange({
+    await queueStudentChange(req, {
       studentId: s.rows[0].id,
       userId: req.session.user.id,
       section: "demographics",
@@ -914,7 +3913,7 @@ app.post(
       );
     }
 
-    await queueStudentChange({
+    await queueStudentChange(req, {
       studentId: s.rows[0].id,
       userId: req.session.user.id,
       section: "occupation",
@@ -977,7 +3976,7 @@ app.post(
       );
     }
 
-    await queueStudentChange({
+    await queueStudentChange(req, {
       studentId: s.rows[0].id,
       userId: req.session.user.id,
       section: "rapids",
@@ -1003,7 +4002,7 @@ app.post(
 app.post(
   "/student/docs/upload",
   requireRole("student"),
-  upload.single("doc_file"),
+  uploadDocFile,
   wrap(async (req, res) => {
     if (!req.file) {
       return res.redirect(
@@ -1021,25 +4020,19 @@ app.post(
       );
     }
 
-    const docType = cleanText(req.body.doc_type);
-    const title = cleanText(req.body.title);
-
-    await pool.query(
-      `INSERT INTO student_documents
-       (student_id, uploaded_by_user_id, doc_type, title, original_filename, stored_filename, mime_type, file_size_bytes, approval_status)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-      [
-        s.rows[0].id,
-        req.session.user.id,
-        docType || "Other",
-        title || req.file.originalname,
-        req.file.originalname,
-        req.file.filename,
-        req.file.mimetype || "application/octet-stream",
-        Number(req.file.size || 0),
-        "pending",
-      ]
-    );
+    const doc = await insertStudentDocument(req, {
+      studentId: s.rows[0].id,
+      docType: cleanText(req.body.doc_type),
+      title: cleanText(req.body.title),
+      file: req.file,
+      expiresOn: dateOrNull(req.body.expires_on),
+      approved: false,
+      replacesId: Number(req.body.replaces_id) || null,
+    });
+    if (doc.error) {
+      await removeStoredFiles([req.file.filename]);
+      return res.redirect("/student?msg=" + encodeURIComponent(doc.error));
+    }
 
     return res.redirect(
       "/student?msg=" +
@@ -1066,14 +4059,31 @@ app.get(
     if (!d.rows.length) return res.status(404).send("Not found");
 
     const doc = d.rows[0];
-    const filePath = path.join(uploadDir, doc.stored_filename);
-    if (!fs.existsSync(filePath)) return res.status(404).send("File missing");
+    return sendDocument(req, res, doc, "student_document");
+  })
+);
 
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${doc.original_filename.replace(/"/g, "")}"`
+// Students may take back an upload until staff have reviewed it.
+app.post(
+  "/student/docs/:docId/withdraw",
+  requireRole("student"),
+  wrap(async (req, res) => {
+    const d = await pool.query(
+      `SELECT d.*
+       FROM student_documents d
+       JOIN students s ON s.id = d.student_id
+       WHERE d.id=$1 AND s.user_id=$2 AND d.approval_status='pending'`,
+      [Number(req.params.docId), req.session.user.id]
     );
-    return res.download(filePath);
+    if (!d.rows.length) {
+      return res.redirect(
+        "/student?msg=" + encodeURIComponent("Only pending uploads can be withdrawn.")
+      );
+    }
+
+    await deleteDocument(req, "student_document", d.rows[0], "document.withdraw");
+
+    return res.redirect("/student?msg=" + encodeURIComponent("Upload withdrawn."));
   })
 );
 
@@ -1110,7 +4120,7 @@ app.get(
       user: req.session.user,
       employer: r.rows[0],
       DOC_TYPES,
-      documents: documents.rows,
+      documents: currentDocuments(documentVersions(documents.rows)),
       portalMessages,
       message: req.query.msg || null,
     });
@@ -1164,12 +4174,9 @@ app.post(
       );
     }
 
-    const { rows } = await pool.query(
-      `SELECT address, city, state, zip_code
-       FROM employers
-       WHERE user_id = $1`,
-      [req.session.user.id]
-    );
+    const { rows } = await pool.query(`SELECT * FROM employers WHERE user_id = $1`, [
+      req.session.user.id,
+    ]);
     if (!rows.length) {
       return res.redirect(
         "/employer?msg=" +
@@ -1179,7 +4186,7 @@ app.post(
 
     const contactAddress = applyContactAddress(req.body, rows[0]);
 
-    await pool.query(
+    const updated = await pool.query(
       `UPDATE employers
        SET company_name=$1,
            address=$2,
@@ -1201,7 +4208,8 @@ app.post(
            contact_phone=$18,
            contact_extension=$19,
            contact_same_as_employer=$20
-       WHERE user_id=$21`,
+       WHERE user_id=$21
+       RETURNING *`,
       [
         cleanText(req.body.company_name),
         cleanText(req.body.address),
@@ -1227,6 +4235,8 @@ app.post(
       ]
     );
 
+    await auditRecordUpdate(req, "employer", rows[0], updated.rows[0], "Self-service profile");
+
     return res.redirect("/employer?msg=" + encodeURIComponent("Employer profile updated."));
   })
 );
@@ -1234,7 +4244,7 @@ app.post(
 app.post(
   "/employer/docs/upload",
   requireRole("employer"),
-  upload.single("doc_file"),
+  uploadDocFile,
   wrap(async (req, res) => {
     if (!req.file) {
       return res.redirect(
@@ -1252,26 +4262,45 @@ app.post(
       );
     }
 
-    const docType = cleanText(req.body.doc_type);
-    const title = cleanText(req.body.title);
+    const doc = await insertEmployerDocument(req, {
+      employerId: e.rows[0].id,
+      docType: cleanText(req.body.doc_type),
+      title: cleanText(req.body.title),
+      file: req.file,
+      approved: false,
+      replacesId: Number(req.body.replaces_id) || null,
+    });
+    if (doc.error) {
+      await removeStoredFiles([req.file.filename]);
+      return res.redirect("/employer?msg=" + encodeURIComponent(doc.error));
+    }
 
-    await pool.query(
-      `INSERT INTO employer_documents
-       (employer_id, uploaded_by_user_id, doc_type, title, original_filename, stored_filename, mime_type, file_size_bytes)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
-      [
-        e.rows[0].id,
-        req.session.user.id,
-        docType || "Other",
-        title || req.file.originalname,
-        req.file.originalname,
-        req.file.filename,
-        req.file.mimetype || "application/octet-stream",
-        Number(req.file.size || 0),
-      ]
+    return res.redirect(
+      "/employer?msg=" + encodeURIComponent("Document uploaded and awaiting admin approval.")
+    );
+  })
+);
+
+app.post(
+  "/employer/docs/:docId/withdraw",
+  requireRole("employer"),
+  wrap(async (req, res) => {
+    const d = await pool.query(
+      `SELECT d.*
+       FROM employer_documents d
+       JOIN employers e ON e.id = d.employer_id
+       WHERE d.id=$1 AND e.user_id=$2 AND d.approval_status='pending'`,
+      [Number(req.params.docId), req.session.user.id]
     );
+    if (!d.rows.length) {
+      return res.redirect(
+        "/employer?msg=" + encodeURIComponent("Only pending uploads can be withdrawn.")
+      );
+    }
 
-    return res.redirect("/employer?msg=" + encodeURIComponent("Document uploaded"));
+    await deleteDocument(req, "employer_document", d.rows[0], "document.withdraw");
+
+    return res.redirect("/employer?msg=" + encodeURIComponent("Upload withdrawn."));
   })
 );
 
@@ -1293,44 +4322,44 @@ app.get(
     if (!d.rows.length) return res.status(404).send("Not found");
 
     const doc = d.rows[0];
-    const filePath = path.join(uploadDir, doc.stored_filename);
-    if (!fs.existsSync(filePath)) return res.status(404).send("File missing");
-
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${doc.original_filename.replace(/"/g, "")}"`
-    );
-    return res.download(filePath);
+    return sendDocument(req, res, doc, "employer_document");
   })
 );
 
 /* ===================== ADMIN CREATE USERS ===================== */
-async function createUser({ email, role, tempPasswordInput }) {
+async function createUser(req, { email, role, tempPasswordInput }) {
   const tempPassword = safeTempPassword(tempPasswordInput);
   const password = tempPassword || randomPassword();
   const hash = bcrypt.hashSync(password, 10);
 
   const user = await pool.query(
-    `INSERT INTO users (email, password_hash, role)
-     VALUES ($1,$2,$3)
+    `INSERT INTO users (email, password_hash, role, must_change_password)
+     VALUES ($1,$2,$3,true)
      RETURNING id`,
     [email, hash, role]
   );
 
+  await recordAudit(req, {
+    action: "user.created",
+    entityType: "user",
+    entityId: user.rows[0].id,
+    after: { email, role },
+  });
+
   return { userId: user.rows[0].id, password };
 }
 
 // CREATE STUDENT
 app.post(
   "/admin/students/create",
-  requireRole("admin"),
+  requirePermission("students.create"),
   wrap(async (req, res) => {
     const email = cleanEmail(req.body.email);
     if (!email)
       return res.redirect("/admin?msg=" + encodeURIComponent("Email required"));
 
     try {
-      const { userId, password } = await createUser({
+      const { userId, password } = await createUser(req, {
         email,
         role: "student",
         tempPasswordInput: req.body.temp_password,
@@ -1345,6 +4374,8 @@ app.post(
         `Email: ${email}`,
         `Temporary password: ${password}`,
         `Login: ${loginUrl}`,
+        "",
+        "You will be asked to choose a new password the first time you log in.",
       ].join("\n");
 
       await sendEmail({
@@ -1371,14 +4402,14 @@ app.post(
 // CREATE EMPLOYER
 app.post(
   "/admin/employers/create",
-  requireRole("admin"),
+  requirePermission("employers.create"),
   wrap(async (req, res) => {
     const email = cleanEmail(req.body.email);
     if (!email)
       return res.redirect("/admin?msg=" + encodeURIComponent("Email required"));
 
     try {
-      const { userId, password } = await createUser({
+      const { userId, password } = await createUser(req, {
         email,
         role: "employer",
         tempPasswordInput: req.body.temp_password,
@@ -1393,6 +4424,8 @@ app.post(
         `Email: ${email}`,
         `Temporary password: ${password}`,
         `Login: ${loginUrl}`,
+        "",
+        "You will be asked to choose a new password the first time you log in.",
       ].join("\n");
 
       await sendEmail({
@@ -1416,55 +4449,423 @@ app.post(
   })
 );
 
+// CREATE STAFF
+app.post(
+  "/admin/staff/create",
+  requirePermission("users.manage"),
+  wrap(async (req, res) => {
+    const email = cleanEmail(req.body.email);
+    const role = cleanText(req.body.role);
+    if (!email || !STAFF_ROLES.includes(role)) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("Email and a staff role are required")
+      );
+    }
+
+    try {
+      const { password } = await createUser(req, {
+        email,
+        role,
+        tempPasswordInput: req.body.temp_password,
+      });
+
+      await sendEmail({
+        to: email,
+        subject: "AEI Portal – Your Account Details",
+        text: [
+          `An AEI Portal staff account (${role}) has been created for you.`,
+          "",
+          `Email: ${email}`,
+          `Temporary password: ${password}`,
+          `Login: ${buildLoginUrl()}`,
+          "",
+          "You will be asked to choose a new password and set up two-factor authentication the first time you log in.",
+        ].join("\n"),
+      });
+
+      return res.redirect(
+        "/admin?msg=" +
+          encodeURIComponent(`Staff account created. Temp password: ${password}`)
+      );
+    } catch (e) {
+      if (isDuplicateEmailError(e)) {
+        return res.redirect(
+          "/admin?msg=" + encodeURIComponent("Email already exists")
+        );
+      }
+      throw e;
+    }
+  })
+);
+
+app.post(
+  "/admin/users/:id/role",
+  requirePermission("users.manage"),
+  wrap(async (req, res) => {
+    const userId = Number(req.params.id);
+    const role = cleanText(req.body.role);
+
+    if (!Number.isFinite(userId) || !STAFF_ROLES.includes(role)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
+    }
+
+    if (String(userId) === String(req.session.user.id)) {
+      return res.redirect(
+        "/admin?msg=" + encodeURIComponent("You can't change your own role.")
+      );
+    }
+
+    const { rows } = await pool.query(`SELECT role FROM users WHERE id=$1`, [userId]);
+    if (!rows.length || !STAFF_ROLES.includes(rows[0].role)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Staff account not found."));
+    }
+
+    await pool.query(`UPDATE users SET role=$1 WHERE id=$2`, [role, userId]);
+    await recordAudit(req, {
+      action: "user.role_changed",
+      entityType: "user",
+      entityId: userId,
+      before: { role: rows[0].role },
+      after: { role },
+    });
+
+    // Sessions carry the role, so make the user log in again under the new one.
+    if (rows[0].role !== role) await destroyUserSessions(userId);
+
+    return res.redirect("/admin?msg=" + encodeURIComponent("Staff role updated."));
+  })
+);
+
+/* ===================== ADMIN: AUDIT LOG ===================== */
+const AUDIT_LOG_PAGE_LIMIT = 500;
+
+app.get(
+  "/admin/audit",
+  requirePermission("audit.view"),
+  wrap(async (req, res) => {
+    const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || ""));
+    const filters = {
+      student_id: Number.isFinite(Number(req.query.student_id))
+        ? String(req.query.student_id || "")
+        : "",
+      user: cleanText(req.query.user),
+      from: isDate(req.query.from) ? req.query.from : "",
+      to: isDate(req.query.to) ? req.query.to : "",
+    };
+
+    const where = [];
+    const params = [];
+    if (filters.student_id) {
+      params.push(Number(filters.student_id));
+      where.push(`a.student_id = $${params.length}`);
+    }
+    if (filters.user) {
+      params.push(`%${filters.user}%`);
+      where.push(`a.actor_email ILIKE $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      where.push(`a.created_at >= $${params.length}::date`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      where.push(`a.created_at < $${params.length}::date + 1`);
+    }
+
+    const entries = await pool.query(
+      `SELECT a.*,
+              TRIM(CONCAT(s.first_name, ' ', s.last_name)) AS student_name,
+              e.company_name
+       FROM audit_log a
+       LEFT JOIN students s ON s.id = a.student_id
+       LEFT JOIN employers e ON e.id = a.employer_id
+       ${where.length ? "WHERE " + where.join(" AND ") : ""}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT ${AUDIT_LOG_PAGE_LIMIT}`,
+      params
+    );
+
+    const students = await pool.query(
+      `SELECT s.id, s.first_name, s.last_name, u.email
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       ORDER BY s.last_name, s.first_name, s.id`
+    );
+
+    res.render("admin-audit", {
+      user: req.session.user,
+      entries: entries.rows,
+      students: students.rows,
+      filters,
+      limit: AUDIT_LOG_PAGE_LIMIT,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+/* ===================== ADMIN: DOCUMENT REQUIREMENTS ===================== */
+app.get(
+  "/admin/document-requirements",
+  requirePermission("docs.requirements"),
+  wrap(async (req, res) => {
+    const programs = await pool.query(
+      `SELECT DISTINCT program_name
+       FROM students
+       WHERE program_name IS NOT NULL AND program_name <> ''
+       ORDER BY program_name`
+    );
+
+    res.render("admin-document-requirements", {
+      user: req.session.user,
+      requirements: await getDocumentRequirements(),
+      programs: programs.rows.map((r) => r.program_name),
+      DOC_TYPES,
+      STUDENT_STATUSES,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/admin/document-requirements",
+  requirePermission("docs.requirements"),
+  wrap(async (req, res) => {
+    const docType = cleanText(req.body.doc_type);
+    const programName = cleanText(req.body.program_name) || null;
+    const studentStatus = cleanText(req.body.student_status) || null;
+
+    if (!DOC_TYPES.includes(docType)) {
+      return res.redirect(
+        "/admin/document-requirements?msg=" + encodeURIComponent("Choose a document type.")
+      );
+    }
+    if (studentStatus && !STUDENT_STATUSES.includes(studentStatus)) {
+      return res.redirect(
+        "/admin/document-requirements?msg=" + encodeURIComponent("Invalid student status.")
+      );
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO required_document_types (doc_type, program_name, student_status, created_by)
+       VALUES ($1,$2,$3,$4)
+       RETURNING *`,
+      [docType, programName, studentStatus, req.session.user.id]
+    );
+
+    await recordAudit(req, {
+      action: "document_requirement.create",
+      entityType: "document_requirement",
+      entityId: rows[0].id,
+      after: rows[0],
+    });
+
+    return res.redirect(
+      "/admin/document-requirements?msg=" + encodeURIComponent("Requirement added.")
+    );
+  })
+);
+
+app.post(
+  "/admin/document-requirements/:id/delete",
+  requirePermission("docs.requirements"),
+  wrap(async (req, res) => {
+    const { rows } = await pool.query(
+      `DELETE FROM required_document_types WHERE id=$1 RETURNING *`,
+      [Number(req.params.id)]
+    );
+    if (rows.length) {
+      await recordAudit(req, {
+        action: "document_requirement.delete",
+        entityType: "document_requirement",
+        entityId: rows[0].id,
+        before: rows[0],
+      });
+    }
+
+    return res.redirect(
+      "/admin/document-requirements?msg=" + encodeURIComponent("Requirement removed.")
+    );
+  })
+);
+
 /* ===================== ADMIN: STUDENT DETAIL ===================== */
 app.get(
   "/admin/students/:id",
-  requireRole("admin"),
+  requirePermission("students.view"),
+  wrap(async (req, res) => {
+    const studentId = Number(req.params.id);
+
+    const s = await pool.query(
+      `SELECT s.*, u.email, u.account_status, u.deactivated_at,
+              u.created_at AS account_created_at, u.last_login_at
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [studentId]
+    );
+
+    if (!s.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Student not found"));
+    }
+
+    const docs = await pool.query(
+      `SELECT d.*, u.email AS uploader_email
+       FROM student_documents d
+       LEFT JOIN users u ON u.id = d.uploaded_by_user_id
+       WHERE d.student_id = $1
+       ORDER BY d.created_at DESC`,
+      [studentId]
+    );
+
+    const readiness = rapidsReadiness(s.rows[0]);
+    const documents = currentDocuments(await attachDocumentHistory(docs.rows, studentId));
+    const activeSessions = await sessionStore.listByUser(s.rows[0].user_id);
+
+    const history = await pool.query(
+      `SELECT h.*, u.email AS changed_by_email
+       FROM student_field_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.student_id = $1
+       ORDER BY h.version DESC, h.field
+       LIMIT 200`,
+      [studentId]
+    );
+
+    await recordAudit(req, {
+      action: "student.view",
+      entityType: "student",
+      entityId: studentId,
+      studentId,
+    });
+
+    res.render("admin-student", {
+      user: req.session.user,
+      student: maskSsn(s.rows[0], hasPermission(req.session.user.role, "ssn.view")),
+      docs: documents,
+      documents,
+      readiness,
+      activeSessionCount: activeSessions.length,
+      historyVersions: groupHistoryVersions(history.rows, s.rows[0]),
+      checklist: documentChecklist(s.rows[0], docs.rows, await getDocumentRequirements()),
+      LEVELS,
+      STUDENT_STATUSES,
+      DOC_TYPES,
+      STUDENT_ID_TYPES,
+      message: req.query.msg || null,
+    });
+  })
+);
+
+app.post(
+  "/admin/students/:id/ssn/reveal",
+  requirePermission("ssn.view"),
+  wrap(async (req, res) => {
+    const studentId = Number(req.params.id);
+    const { rows } = await pool.query(
+      `SELECT s.id, s.first_name, s.last_name, s.ssn, u.email
+       FROM students s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [studentId]
+    );
+    if (!rows.length || !rows[0].ssn) {
+      return res.redirect(
+        `/admin/students/${studentId}?msg=` + encodeURIComponent("No SSN on file.")
+      );
+    }
+
+    await logSsnReveal(req, studentId);
+
+    renderSsnReveal(res, {
+      user: req.session.user,
+      student: rows[0],
+      backUrl: `/admin/students/${studentId}`,
+    });
+  })
+);
+
+// Newest first; each entry notes whether its old value could be restored right now.
+function groupHistoryVersions(rows, student) {
+  const versions = [];
+  for (const row of rows) {
+    let version = versions[versions.length - 1];
+    if (!version || version.version !== row.version) {
+      version = {
+        version: row.version,
+        source: row.source,
+        changed_by_email: row.changed_by_email,
+        created_at: row.created_at,
+        fields: [],
+      };
+      versions.push(version);
+    }
+    version.fields.push({
+      ...row,
+      restorable:
+        !STUDENT_HISTORY_NON_RESTORABLE.has(row.field) &&
+        Object.prototype.hasOwnProperty.call(student, row.field) &&
+        historyValue(student[row.field]) !== row.old_value,
+    });
+  }
+  return versions;
+}
+
+app.post(
+  "/admin/students/:id/history/:historyId/restore",
+  requirePermission("students.edit"),
   wrap(async (req, res) => {
     const studentId = Number(req.params.id);
+    const historyId = Number(req.params.historyId);
+    if (!Number.isFinite(studentId) || !Number.isFinite(historyId)) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Invalid request."));
+    }
 
-    const s = await pool.query(
-      `SELECT s.*, u.email
-       FROM students s
-       JOIN users u ON u.id = s.user_id
-       WHERE s.id = $1`,
-      [studentId]
+    const { rows } = await pool.query(
+      `SELECT * FROM student_field_history WHERE id=$1 AND student_id=$2`,
+      [historyId, studentId]
     );
+    const before = await pool.query(`SELECT * FROM students WHERE id=$1`, [studentId]);
+    if (!rows.length || !before.rows.length) {
+      return res.redirect(
+        `/admin/students/${studentId}?msg=` + encodeURIComponent("History entry not found.")
+      );
+    }
 
-    if (!s.rows.length) {
-      return res.redirect("/admin?msg=" + encodeURIComponent("Student not found"));
+    const entry = rows[0];
+    // The column name comes from our own history table, but only trust real, restorable columns.
+    if (
+      STUDENT_HISTORY_SKIP_FIELDS.has(entry.field) ||
+      STUDENT_HISTORY_NON_RESTORABLE.has(entry.field) ||
+      !Object.prototype.hasOwnProperty.call(before.rows[0], entry.field)
+    ) {
+      return res.redirect(
+        `/admin/students/${studentId}?msg=` +
+          encodeURIComponent("That value can't be restored from history.")
+      );
     }
 
-    const docs = await pool.query(
-      `SELECT d.*, u.email AS uploader_email
-       FROM student_documents d
-       LEFT JOIN users u ON u.id = d.uploaded_by_user_id
-       WHERE d.student_id = $1
-       ORDER BY d.created_at DESC`,
-      [studentId]
+    const updated = await pool.query(
+      `UPDATE students SET ${entry.field}=$1 WHERE id=$2 RETURNING *`,
+      [entry.old_value, studentId]
     );
 
-    const readiness = rapidsReadiness(s.rows[0]);
-    const documents = docs.rows;
+    await recordStudentUpdate(
+      req,
+      before.rows[0],
+      updated.rows[0],
+      `Restored ${entry.field} from version ${entry.version}`
+    );
 
-    res.render("admin-student", {
-      user: req.session.user,
-      student: s.rows[0],
-      docs: documents,
-      documents,
-      readiness,
-      LEVELS,
-      STUDENT_STATUSES,
-      DOC_TYPES,
-      STUDENT_ID_TYPES,
-      message: req.query.msg || null,
-    });
+    return res.redirect(
+      `/admin/students/${studentId}?msg=` +
+        encodeURIComponent(`Restored ${entry.field} to its earlier value.`)
+    );
   })
 );
 
 app.post(
   "/admin/students/:id/update-identity",
-  requireRole("admin"),
+  requirePermission("students.edit"),
   wrap(async (req, res) => {
     const studentId = Number(req.params.id);
 
@@ -1484,10 +4885,19 @@ app.post(
     ];
     const missing = requiredFields.filter((f) => isBlank(req.body[f]));
     const ssnNotProvided = req.body.ssn_not_provided === "on";
+    // Staff without ssn.view never see the SSN, so their saves leave it untouched.
+    const canEditSsn = hasPermission(req.session.user.role, "ssn.view");
+    // The SSN field is always blank on the form; leaving it blank keeps the one on file.
+    const current = await pool.query(`SELECT * FROM students WHERE id=$1`, [studentId]);
+    const ssnOnFile = Boolean(current.rows[0] && current.rows[0].ssn);
+    const replaceSsn = canEditSsn && (ssnNotProvided || !isBlank(req.body.ssn));
+    const ssnValues = ssnNotProvided
+      ? { ssn: null, ssn_last4: null }
+      : encryptSsnInput(req.body.ssn);
 
     if (
       missing.length ||
-      (!ssnNotProvided && isBlank(req.body.ssn)) ||
+      (canEditSsn && !ssnNotProvided && isBlank(req.body.ssn) && !ssnOnFile) ||
       !isValidState(req.body.state) ||
       !isValidZip(req.body.zip_code) ||
       !isValidSex(req.body.sex) ||
@@ -1501,7 +4911,7 @@ app.post(
       );
     }
 
-    await pool.query(
+    const updated = await pool.query(
       `UPDATE students
        SET first_name=$1,
            middle_name=$2,
@@ -1513,15 +4923,17 @@ app.post(
            zip_code=$8,
            phone=$9,
            employer_name=$10,
-           ssn=$11,
-           ssn_not_provided=$12,
+           ssn=CASE WHEN $20 THEN $11 ELSE ssn END,
+           ssn_last4=CASE WHEN $20 THEN $21 ELSE ssn_last4 END,
+           ssn_not_provided=CASE WHEN $22 THEN $12 ELSE ssn_not_provided END,
            date_of_birth=$13,
            sex=$14,
            employment_status=$15,
            pre_apprenticeship=$16,
            level=$17,
            status=$18
-       WHERE id=$19`,
+       WHERE id=$19
+       RETURNING *`,
       [
         cleanText(req.body.first_name),
         cleanText(req.body.middle_name),
@@ -1533,7 +4945,7 @@ app.post(
         cleanText(req.body.zip_code),
         cleanText(req.body.phone),
         cleanText(req.body.employer_name),
-        ssnNotProvided ? null : cleanText(req.body.ssn),
+        ssnValues.ssn,
         ssnNotProvided,
         req.body.date_of_birth || null,
         cleanText(req.body.sex),
@@ -1542,9 +4954,14 @@ app.post(
         Number(req.body.level || 1),
         cleanText(req.body.status),
         studentId,
+        replaceSsn,
+        ssnValues.ssn_last4,
+        canEditSsn,
       ]
     );
 
+    await recordStudentUpdate(req, current.rows[0], updated.rows[0], "Identity / Progress");
+
     return res.redirect(
       `/admin/students/${studentId}?msg=` +
         encodeURIComponent("Identity / Progress updated")
@@ -1554,7 +4971,7 @@ app.post(
 
 app.post(
   "/admin/students/:id/update-rapids",
-  requireRole("admin"),
+  requirePermission("students.edit"),
   wrap(async (req, res) => {
     const studentId = Number(req.params.id);
 
@@ -1578,7 +4995,8 @@ app.post(
     const enrollmentDate = req.body.enrollment_date ? req.body.enrollment_date : null;
     const exitDate = req.body.exit_date ? req.body.exit_date : null;
 
-    await pool.query(
+    const before = await pool.query(`SELECT * FROM students WHERE id=$1`, [studentId]);
+    const updated = await pool.query(
       `UPDATE students
        SET program_name=$1,
            provider_program_id=$2,
@@ -1589,7 +5007,8 @@ app.post(
            exit_date=$7,
            exit_type=$8,
            credential=$9
-       WHERE id=$10`,
+       WHERE id=$10
+       RETURNING *`,
       [
         cleanText(req.body.program_name),
         cleanText(req.body.provider_program_id),
@@ -1604,6 +5023,8 @@ app.post(
       ]
     );
 
+    await recordStudentUpdate(req, before.rows[0], updated.rows[0], "RAPIDS");
+
     return res.redirect(
       `/admin/students/${studentId}?msg=` +
         encodeURIComponent("RAPIDS fields updated")
@@ -1613,7 +5034,7 @@ app.post(
 
 app.post(
   "/admin/students/:id/update-demographics",
-  requireRole("admin"),
+  requirePermission("students.edit"),
   wrap(async (req, res) => {
     const studentId = Number(req.params.id);
     const requiredFields = [
@@ -1632,14 +5053,16 @@ app.post(
       );
     }
 
-    await pool.query(
+    const before = await pool.query(`SELECT * FROM students WHERE id=$1`, [studentId]);
+    const updated = await pool.query(
       `UPDATE students
        SET ethnicity=$1,
            race=$2,
            veteran_status=$3,
            education_level=$4,
            disability=$5
-       WHERE id=$6`,
+       WHERE id=$6
+       RETURNING *`,
       [
         cleanText(req.body.ethnicity),
         cleanText(req.body.race),
@@ -1650,6 +5073,8 @@ app.post(
       ]
     );
 
+    await recordStudentUpdate(req, before.rows[0], updated.rows[0], "Demographics");
+
     return res.redirect(
       `/admin/students/${studentId}?msg=` +
         encodeURIComponent("Demographics updated")
@@ -1659,7 +5084,7 @@ app.post(
 
 app.post(
   "/admin/students/:id/update-occupation",
-  requireRole("admin"),
+  requirePermission("students.edit"),
   wrap(async (req, res) => {
     const studentId = Number(req.params.id);
     const requiredFields = [
@@ -1686,7 +5111,8 @@ app.post(
       );
     }
 
-    await pool.query(
+    const before = await pool.query(`SELECT * FROM students WHERE id=$1`, [studentId]);
+    const updated = await pool.query(
       `UPDATE students
        SET occupation_name=$1,
            occupation_code=$2,
@@ -1701,7 +5127,8 @@ app.post(
            entry_wage_units=$11,
            wage_schedule=$12,
            journeyworker_wage=$13
-       WHERE id=$14`,
+       WHERE id=$14
+       RETURNING *`,
       [
         cleanText(req.body.occupation_name),
         cleanText(req.body.occupation_code),
@@ -1720,6 +5147,8 @@ app.post(
       ]
     );
 
+    await recordStudentUpdate(req, before.rows[0], updated.rows[0], "Occupation");
+
     return res.redirect(
       `/admin/students/${studentId}?msg=` +
         encodeURIComponent("Occupation details updated")
@@ -1730,8 +5159,9 @@ app.post(
 // ADMIN upload/download for student records
 app.post(
   "/admin/students/:id/docs/upload",
-  requireRole("admin"),
-  upload.single("doc_file"),
+  requirePermission("docs.upload"),
+  requireUploadOwner("students"),
+  uploadDocFile,
   wrap(async (req, res) => {
     const studentId = Number(req.params.id);
 
@@ -1742,26 +5172,21 @@ app.post(
       );
     }
 
-    const docType = cleanText(req.body.doc_type);
-    const title = cleanText(req.body.title);
-
-    await pool.query(
-      `INSERT INTO student_documents
-       (student_id, uploaded_by_user_id, doc_type, title, original_filename, stored_filename, mime_type, file_size_bytes, approval_status, approved_at, approved_by)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW(),$10)`,
-      [
-        studentId,
-        req.session.user.id,
-        docType || "Other",
-        title || req.file.originalname,
-        req.file.originalname,
-        req.file.filename,
-        req.file.mimetype || "application/octet-stream",
-        Number(req.file.size || 0),
-        "approved",
-        req.session.user.id,
-      ]
-    );
+    const doc = await insertStudentDocument(req, {
+      studentId,
+      docType: cleanText(req.body.doc_type),
+      title: cleanText(req.body.title),
+      file: req.file,
+      expiresOn: dateOrNull(req.body.expires_on),
+      approved: true,
+      replacesId: Number(req.body.replaces_id) || null,
+    });
+    if (doc.error) {
+      await removeStoredFiles([req.file.filename]);
+      return res.redirect(
+        `/admin/students/${studentId}?msg=` + encodeURIComponent(doc.error)
+      );
+    }
 
     return res.redirect(
       `/admin/students/${studentId}?msg=` +
@@ -1770,9 +5195,28 @@ app.post(
   })
 );
 
+app.post(
+  "/admin/student-docs/:docId/delete",
+  requirePermission("docs.delete"),
+  wrap(async (req, res) => {
+    const docId = Number(req.params.docId);
+    const d = await pool.query(`SELECT * FROM student_documents WHERE id=$1`, [docId]);
+    if (!d.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Document not found."));
+    }
+
+    await deleteDocument(req, "student_document", d.rows[0], "document.delete");
+
+    return res.redirect(
+      `/admin/students/${d.rows[0].student_id}?msg=` +
+        encodeURIComponent("Document deleted.")
+    );
+  })
+);
+
 app.get(
   "/admin/docs/:docId/download",
-  requireRole("admin"),
+  requirePermission("docs.view"),
   wrap(async (req, res) => {
     const docId = Number(req.params.docId);
 
@@ -1780,45 +5224,173 @@ app.get(
     if (!d.rows.length) return res.status(404).send("Not found");
 
     const doc = d.rows[0];
-    const filePath = path.join(uploadDir, doc.stored_filename);
-    if (!fs.existsSync(filePath)) return res.status(404).send("File missing");
+    return sendDocument(req, res, doc, "student_document");
+  })
+);
+
+/* ===================== ADMIN ARCHIVE + PURGE ===================== */
+// Records are archived (login blocked, data kept) rather than deleted; purge is the only hard delete.
+// The prior status is kept so reactivating a pending or denied registration doesn't approve it.
+async function deactivateAccount(userId, actorId) {
+  await pool.query(
+    `UPDATE users
+     SET status_before_deactivation = CASE WHEN account_status = 'deactivated'
+                                           THEN status_before_deactivation
+                                           ELSE account_status END,
+         account_status='deactivated', deactivated_at=NOW(), deactivated_by=$2
+     WHERE id=$1`,
+    [userId, actorId]
+  );
+  await destroyUserSessions(userId);
+}
+
+async function reactivateAccount(userId) {
+  await pool.query(
+    `UPDATE users
+     SET account_status=COALESCE(status_before_deactivation, 'active'),
+         status_before_deactivation=NULL, deactivated_at=NULL, deactivated_by=NULL
+     WHERE id=$1`,
+    [userId]
+  );
+}
+
+async function removeStoredFiles(filenames) {
+  let removed = 0;
+  for (const name of filenames) {
+    try {
+      if (await documentStorage.remove(name)) removed += 1;
+    } catch (err) {
+      console.error("❌ File removal failed:", err);
+    }
+  }
+  return removed;
+}
+
+// Deletes the user (cascading to profile, documents and change history) and their files.
+async function purgeAccount(userId) {
+  const files = await pool.query(
+    `SELECT d.stored_filename
+     FROM student_documents d
+     JOIN students s ON s.id = d.student_id
+     WHERE s.user_id = $1
+     UNION ALL
+     SELECT d.stored_filename
+     FROM employer_documents d
+     JOIN employers e ON e.id = d.employer_id
+     WHERE e.user_id = $1`,
+    [userId]
+  );
+
+  await pool.query(`DELETE FROM users WHERE id=$1`, [userId]);
+
+  return removeStoredFiles(files.rows.map((r) => r.stored_filename));
+}
+
+app.post(
+  "/admin/students/:id/deactivate",
+  requirePermission("students.delete"),
+  wrap(async (req, res) => {
+    const recordId = Number(req.params.id);
+    const r = await pool.query(`SELECT user_id FROM students WHERE id=$1`, [recordId]);
+    if (!r.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Student not found"));
+    }
+
+    await deactivateAccount(r.rows[0].user_id, req.session.user.id);
+    await recordAudit(req, {
+      action: "student.deactivated",
+      entityType: "student",
+      entityId: recordId,
+      studentId: recordId,
+    });
 
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${doc.original_filename.replace(/"/g, "")}"`
+    return res.redirect(
+      `/admin/students/${recordId}?msg=` + encodeURIComponent("Student deactivated and archived")
     );
-    return res.download(filePath);
   })
 );
 
-/* ===================== ADMIN DELETE ===================== */
 app.post(
-  "/admin/students/:id/delete",
-  requireRole("admin"),
+  "/admin/students/:id/reactivate",
+  requirePermission("students.delete"),
   wrap(async (req, res) => {
-    const studentId = Number(req.params.id);
+    const recordId = Number(req.params.id);
+    const r = await pool.query(`SELECT user_id FROM students WHERE id=$1`, [recordId]);
+    if (!r.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Student not found"));
+    }
 
-    const s = await pool.query(`SELECT user_id FROM students WHERE id=$1`, [studentId]);
-    if (!s.rows.length) {
+    await reactivateAccount(r.rows[0].user_id);
+    await recordAudit(req, {
+      action: "student.reactivated",
+      entityType: "student",
+      entityId: recordId,
+      studentId: recordId,
+    });
+
+    return res.redirect(
+      `/admin/students/${recordId}?msg=` + encodeURIComponent("Student reactivated")
+    );
+  })
+);
+
+app.post(
+  "/admin/students/:id/purge",
+  requirePermission("records.purge"),
+  wrap(async (req, res) => {
+    const recordId = Number(req.params.id);
+    const r = await pool.query(
+      `SELECT x.user_id, u.email, u.account_status
+       FROM students x
+       JOIN users u ON u.id = x.user_id
+       WHERE x.id=$1`,
+      [recordId]
+    );
+    if (!r.rows.length) {
       return res.redirect("/admin?msg=" + encodeURIComponent("Student not found"));
     }
 
-    const userId = s.rows[0].user_id;
-    await pool.query(`DELETE FROM users WHERE id=$1`, [userId]);
+    const record = r.rows[0];
+    if (record.account_status !== "deactivated") {
+      return res.redirect(
+        `/admin/students/${recordId}?msg=` +
+          encodeURIComponent("Deactivate the account before purging it.")
+      );
+    }
+
+    if (cleanEmail(req.body.confirm_email) !== record.email) {
+      return res.redirect(
+        `/admin/students/${recordId}?msg=` +
+          encodeURIComponent("Type the account email exactly to confirm the purge.")
+      );
+    }
+
+    const filesRemoved = await purgeAccount(record.user_id);
+    await recordAudit(req, {
+      action: "student.purged",
+      entityType: "student",
+      entityId: recordId,
+      studentId: recordId,
+      details: `${record.email} (${filesRemoved} file(s) removed)`,
+    });
 
-    return res.redirect("/admin?msg=" + encodeURIComponent("Student deleted"));
+    return res.redirect(
+      "/admin?msg=" +
+        encodeURIComponent(`Student permanently purged (${filesRemoved} file(s) removed)`)
+    );
   })
 );
 
 /* ===================== ADMIN: EMPLOYER DETAIL ===================== */
 app.get(
   "/admin/employers/:id",
-  requireRole("admin"),
+  requirePermission("employers.view"),
   wrap(async (req, res) => {
     const employerId = Number(req.params.id);
 
     const e = await pool.query(
-      `SELECT e.*, u.email
+      `SELECT e.*, u.email, u.account_status, u.deactivated_at,
+              u.created_at AS account_created_at, u.last_login_at
        FROM employers e
        JOIN users u ON u.id = e.user_id
        WHERE e.id = $1`,
@@ -1829,17 +5401,108 @@ app.get(
       return res.redirect("/admin?msg=" + encodeURIComponent("Employer not found"));
     }
 
+    await recordAudit(req, {
+      action: "employer.view",
+      entityType: "employer",
+      entityId: employerId,
+      employerId,
+    });
+
+    const activeSessions = await sessionStore.listByUser(e.rows[0].user_id);
+
+    const docs = await pool.query(
+      `SELECT d.*, u.email AS uploader_email
+       FROM employer_documents d
+       LEFT JOIN users u ON u.id = d.uploaded_by_user_id
+       WHERE d.employer_id = $1
+       ORDER BY d.created_at DESC`,
+      [employerId]
+    );
+
     res.render("admin-employer", {
       user: req.session.user,
       employer: e.rows[0],
+      documents: currentDocuments(documentVersions(docs.rows)),
+      DOC_TYPES,
+      activeSessionCount: activeSessions.length,
       message: req.query.msg || null,
     });
   })
 );
 
+// ADMIN upload/download for employer records
+app.post(
+  "/admin/employers/:id/docs/upload",
+  requirePermission("docs.upload"),
+  requireUploadOwner("employers"),
+  uploadDocFile,
+  wrap(async (req, res) => {
+    const employerId = Number(req.params.id);
+
+    if (!req.file) {
+      return res.redirect(
+        `/admin/employers/${employerId}?msg=` + encodeURIComponent("No file selected")
+      );
+    }
+
+    const doc = await insertEmployerDocument(req, {
+      employerId,
+      docType: cleanText(req.body.doc_type),
+      title: cleanText(req.body.title),
+      file: req.file,
+      approved: true,
+      replacesId: Number(req.body.replaces_id) || null,
+    });
+    if (doc.error) {
+      await removeStoredFiles([req.file.filename]);
+      return res.redirect(
+        `/admin/employers/${employerId}?msg=` + encodeURIComponent(doc.error)
+      );
+    }
+
+    return res.redirect(
+      `/admin/employers/${employerId}?msg=` + encodeURIComponent("Document uploaded")
+    );
+  })
+);
+
+app.get(
+  "/admin/employer-docs/:docId/download",
+  requirePermission("docs.view"),
+  wrap(async (req, res) => {
+    const docId = Number(req.params.docId);
+
+    const d = await pool.query(`SELECT * FROM employer_documents WHERE id=$1`, [docId]);
+    if (!d.rows.length) return res.status(404).send("Not found");
+
+    const doc = d.rows[0];
+    return sendDocument(req, res, doc, "employer_document");
+  })
+);
+
+app.post(
+  "/admin/employer-docs/:docId/delete",
+  requirePermission("docs.delete"),
+  wrap(async (req, res) => {
+    const d = await pool.query(`SELECT * FROM employer_documents WHERE id=$1`, [
+      Number(req.params.docId),
+    ]);
+    if (!d.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Document not found."));
+    }
+
+    await deleteDocument(req, "employer_document", d.rows[0], "document.delete");
+
+    return res.redirect(
+      `/admin/employers/${d.rows[0].employer_id}?msg=` +
+        encodeURIComponent("Document deleted.")
+    );
+  })
+);
+
 app.post(
   "/admin/employers/:id/update",
-  requireRole("admin"),
+  requirePermission("employers.edit"),
   wrap(async (req, res) => {
     const employerId = Number(req.params.id);
 
@@ -1886,12 +5549,7 @@ app.post(
       );
     }
 
-    const current = await pool.query(
-      `SELECT address, city, state, zip_code
-       FROM employers
-       WHERE id = $1`,
-      [employerId]
-    );
+    const current = await pool.query(`SELECT * FROM employers WHERE id = $1`, [employerId]);
     if (!current.rows.length) {
       return res.redirect(
         `/admin/employers/${employerId}?msg=` +
@@ -1901,7 +5559,7 @@ app.post(
 
     const contactAddress = applyContactAddress(req.body, current.rows[0]);
 
-    await pool.query(
+    const updated = await pool.query(
       `UPDATE employers
        SET company_name=$1,
            address=$2,
@@ -1922,7 +5580,8 @@ app.post(
            contact_phone=$17,
            contact_extension=$18,
            contact_same_as_employer=$19
-       WHERE id=$20`,
+       WHERE id=$20
+       RETURNING *`,
       [
         cleanText(req.body.company_name),
         cleanText(req.body.address),
@@ -1947,6 +5606,8 @@ app.post(
       ]
     );
 
+    await auditRecordUpdate(req, "employer", current.rows[0], updated.rows[0], "Profile");
+
     return res.redirect(
       `/admin/employers/${employerId}?msg=` +
         encodeURIComponent("Employer profile updated.")
@@ -1955,23 +5616,204 @@ app.post(
 );
 
 app.post(
-  "/admin/employers/:id/delete",
-  requireRole("admin"),
+  "/admin/employers/:id/deactivate",
+  requirePermission("employers.delete"),
   wrap(async (req, res) => {
-    const employerId = Number(req.params.id);
+    const recordId = Number(req.params.id);
+    const r = await pool.query(`SELECT user_id FROM employers WHERE id=$1`, [recordId]);
+    if (!r.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Employer not found"));
+    }
 
-    const e = await pool.query(`SELECT user_id FROM employers WHERE id=$1`, [employerId]);
-    if (!e.rows.length) {
+    await deactivateAccount(r.rows[0].user_id, req.session.user.id);
+    await recordAudit(req, {
+      action: "employer.deactivated",
+      entityType: "employer",
+      entityId: recordId,
+      employerId: recordId,
+    });
+
+    return res.redirect(
+      `/admin/employers/${recordId}?msg=` + encodeURIComponent("Employer deactivated and archived")
+    );
+  })
+);
+
+app.post(
+  "/admin/employers/:id/reactivate",
+  requirePermission("employers.delete"),
+  wrap(async (req, res) => {
+    const recordId = Number(req.params.id);
+    const r = await pool.query(`SELECT user_id FROM employers WHERE id=$1`, [recordId]);
+    if (!r.rows.length) {
+      return res.redirect("/admin?msg=" + encodeURIComponent("Employer not found"));
+    }
+
+    await reactivateAccount(r.rows[0].user_id);
+    await recordAudit(req, {
+      action: "employer.reactivated",
+      entityType: "employer",
+      entityId: recordId,
+      employerId: recordId,
+    });
+
+    return res.redirect(
+      `/admin/employers/${recordId}?msg=` + encodeURIComponent("Employer reactivated")
+    );
+  })
+);
+
+app.post(
+  "/admin/employers/:id/purge",
+  requirePermission("records.purge"),
+  wrap(async (req, res) => {
+    const recordId = Number(req.params.id);
+    const r = await pool.query(
+      `SELECT x.user_id, u.email, u.account_status
+       FROM employers x
+       JOIN users u ON u.id = x.user_id
+       WHERE x.id=$1`,
+      [recordId]
+    );
+    if (!r.rows.length) {
       return res.redirect("/admin?msg=" + encodeURIComponent("Employer not found"));
     }
 
-    const userId = e.rows[0].user_id;
-    await pool.query(`DELETE FROM users WHERE id=$1`, [userId]);
+    const record = r.rows[0];
+    if (record.account_status !== "deactivated") {
+      return res.redirect(
+        `/admin/employers/${recordId}?msg=` +
+          encodeURIComponent("Deactivate the account before purging it.")
+      );
+    }
+
+    if (cleanEmail(req.body.confirm_email) !== record.email) {
+      return res.redirect(
+        `/admin/employers/${recordId}?msg=` +
+          encodeURIComponent("Type the account email exactly to confirm the purge.")
+      );
+    }
+
+    const filesRemoved = await purgeAccount(record.user_id);
+    await recordAudit(req, {
+      action: "employer.purged",
+      entityType: "employer",
+      entityId: recordId,
+      employerId: recordId,
+      details: `${record.email} (${filesRemoved} file(s) removed)`,
+    });
 
-    return res.redirect("/admin?msg=" + encodeURIComponent("Employer deleted"));
+    return res.redirect(
+      "/admin?msg=" +
+        encodeURIComponent(`Employer permanently purged (${filesRemoved} file(s) removed)`)
+    );
   })
 );
 
+/* ===================== DOCUMENT EXPIRY ===================== */
+// Reminder emails go out this many days before expiry, plus once after it has passed.
+const EXPIRY_REMINDER_DAYS = [30, 7];
+const EXPIRY_CHECK_HOURS = Number(process.env.EXPIRY_CHECK_HOURS || 6);
+const EXPIRY_REPORT_WINDOWS = [30, 60, 90];
+
+// Current, non-rejected documents of active students expiring within `withinDays` (or already expired).
+async function getExpiringDocuments(withinDays) {
+  const { rows } = await pool.query(
+    `SELECT d.id, d.student_id, d.doc_type, d.title, d.expires_on,
+            (d.expires_on - CURRENT_DATE) AS days_left,
+            s.first_name, s.last_name, u.email
+     FROM student_documents d
+     JOIN students s ON s.id = d.student_id
+     JOIN users u ON u.id = s.user_id
+     WHERE d.expires_on IS NOT NULL
+       AND d.expires_on <= CURRENT_DATE + $1::int
+       AND d.superseded_at IS NULL
+       AND d.approval_status <> 'rejected'
+       AND u.account_status = 'active'
+     ORDER BY d.expires_on, d.id`,
+    [withinDays]
+  );
+  return rows;
+}
+
+// The reminder due now: "expired" once past the date, else the closest "<n>_days" stage reached.
+function expiryStage(daysLeft) {
+  if (daysLeft < 0) return "expired";
+  const reached = EXPIRY_REMINDER_DAYS.filter((days) => daysLeft <= days);
+  return reached.length ? `${Math.min(...reached)}_days` : null;
+}
+
+async function notifyDocumentExpiry(doc, stage) {
+  const expires = formatDateInput(doc.expires_on);
+  const name = `${doc.first_name || ""} ${doc.last_name || ""}`.trim() || doc.email;
+  const label = `${doc.doc_type} (${doc.title})`;
+  const expired = stage === "expired";
+
+  await sendEmail({
+    to: doc.email,
+    subject: expired ? "AEI Portal – Document Expired" : "AEI Portal – Document Expiring Soon",
+    text: [
+      expired
+        ? `Your ${label} expired on ${expires}.`
+        : `Your ${label} expires on ${expires} (in ${doc.days_left} day(s)).`,
+      "",
+      "Please upload a current copy from your profile.",
+      "",
+      `Log in: ${buildLoginUrl()}`,
+    ].join("\n"),
+  });
+
+  await sendEmail({
+    to: ADMIN_NOTIFY_EMAIL,
+    subject: expired
+      ? "AEI Portal – Student Document Expired"
+      : "AEI Portal – Student Document Expiring Soon",
+    text: [
+      expired
+        ? `${name}'s ${label} expired on ${expires}.`
+        : `${name}'s ${label} expires on ${expires} (in ${doc.days_left} day(s)).`,
+      "",
+      `Student: ${buildAppUrl(`/admin/students/${doc.student_id}`)}`,
+    ].join("\n"),
+  });
+}
+
+async function sendExpiryReminders() {
+  const docs = await getExpiringDocuments(Math.max(...EXPIRY_REMINDER_DAYS));
+  let sent = 0;
+
+  for (const doc of docs) {
+    const stage = expiryStage(doc.days_left);
+    if (!stage) continue;
+
+    // Claiming the stage before sending keeps it to one email even with several instances.
+    const claimed = await pool.query(
+      `INSERT INTO document_expiry_reminders (document_id, stage)
+       VALUES ($1,$2)
+       ON CONFLICT DO NOTHING
+       RETURNING document_id`,
+      [doc.id, stage]
+    );
+    if (!claimed.rows.length) continue;
+
+    await notifyDocumentExpiry(doc, stage);
+    sent += 1;
+  }
+  return sent;
+}
+
+function startExpiryReminders() {
+  const run = () =>
+    sendExpiryReminders()
+      .then((sent) => {
+        if (sent) console.log(`📅 Sent ${sent} document expiry reminder(s)`);
+      })
+      .catch((err) => console.error("❌ Expiry reminders failed:", err));
+
+  run();
+  setInterval(run, EXPIRY_CHECK_HOURS * 60 * 60 * 1000).unref();
+}
+
 /* ===================== ERROR HANDLER ===================== */
 app.use((err, req, res, next) => {
   console.error("❌ Unhandled error:", err);
@@ -0,0 +1,91 @@
+// session-store.js — POSTGRES SESSION STORE (survives restarts, revocable per user)
+const session = require("express-session");
+
+class PgSessionStore extends session.Store {
+  constructor({ pool, idleMinutes, pruneIntervalMinutes = 15 }) {
+    super();
+    this.pool = pool;
+    this.idleMs = idleMinutes * 60 * 1000;
+
+    this.pruneTimer = setInterval(() => {
+      this.prune().catch((err) => console.error("❌ Session prune failed:", err));
+    }, pruneIntervalMinutes * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  expiresAt(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + this.idleMs);
+  }
+
+  get(sid, cb) {
+    this.pool
+      .query(
+        `SELECT sess FROM user_sessions WHERE sid=$1 AND expires_at > NOW()`,
+        [sid]
+      )
+      .then(({ rows }) => cb(null, rows.length ? rows[0].sess : null), cb);
+  }
+
+  set(sid, sess, cb) {
+    const userId = sess.user ? sess.user.id : null;
+
+    this.pool
+      .query(
+        `INSERT INTO user_sessions (sid, sess, user_id, ip_address, user_agent, expires_at)
+         VALUES ($1,$2,$3,$4,$5,$6)
+         ON CONFLICT (sid)
+         DO UPDATE SET sess = EXCLUDED.sess,
+                       user_id = EXCLUDED.user_id,
+                       ip_address = EXCLUDED.ip_address,
+                       user_agent = EXCLUDED.user_agent,
+                       expires_at = EXCLUDED.expires_at,
+                       last_seen_at = NOW()`,
+        [sid, sess, userId, sess.ip || null, sess.userAgent || null, this.expiresAt(sess)]
+      )
+      .then(() => cb && cb(null), cb);
+  }
+
+  touch(sid, sess, cb) {
+    this.pool
+      .query(
+        `UPDATE user_sessions
+         SET expires_at=$2, last_seen_at=NOW()
+         WHERE sid=$1`,
+        [sid, this.expiresAt(sess)]
+      )
+      .then(() => cb && cb(null), cb);
+  }
+
+  destroy(sid, cb) {
+    this.pool
+      .query(`DELETE FROM user_sessions WHERE sid=$1`, [sid])
+      .then(() => cb && cb(null), cb);
+  }
+
+  async destroyByUser(userId, { exceptSessionId } = {}) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM user_sessions
+       WHERE user_id=$1 AND sid IS DISTINCT FROM $2`,
+      [userId, exceptSessionId || null]
+    );
+    return rowCount;
+  }
+
+  async listByUser(userId) {
+    const { rows } = await this.pool.query(
+      `SELECT id, sid, ip_address, user_agent, created_at, last_seen_at, expires_at
+       FROM user_sessions
+       WHERE user_id=$1 AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  async prune() {
+    await this.pool.query(`DELETE FROM user_sessions WHERE expires_at <= NOW()`);
+  }
+}
+
+module.exports = { PgSessionStore };
@@ -0,0 +1,90 @@
+// ssn-crypto.js — SSN FIELD ENCRYPTION (AES-256-GCM, rotatable keys)
+const crypto = require("crypto");
+
+const PREFIX = "enc";
+
+/**
+ * Keys come from SSN_ENCRYPTION_KEYS as "id:base64key,id:base64key".
+ * The first key encrypts; the rest are kept only so older values still decrypt.
+ * Each key must decode to 32 bytes (e.g. `openssl rand -base64 32`).
+ */
+function parseKeys(spec) {
+  const keys = new Map();
+  for (const part of String(spec || "").split(",")) {
+    const entry = part.trim();
+    if (!entry) continue;
+
+    const sep = entry.indexOf(":");
+    const id = entry.slice(0, sep).trim();
+    const key = Buffer.from(entry.slice(sep + 1).trim(), "base64");
+    if (sep < 1 || !/^[\w-]+$/.test(id) || key.length !== 32) {
+      throw new Error(`Invalid SSN encryption key entry "${id || entry.slice(0, 8)}…"`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+class SsnCipher {
+  constructor(keys) {
+    if (!keys.size) throw new Error("At least one SSN encryption key is required");
+    this.keys = keys;
+    this.activeKeyId = keys.keys().next().value;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(`${PREFIX}:`);
+  }
+
+  encrypt(plain) {
+    if (plain === null || plain === undefined || plain === "") return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.keys.get(this.activeKeyId), iv);
+    const data = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [PREFIX, this.activeKeyId, iv, tag, data]
+      .map((v) => (Buffer.isBuffer(v) ? v.toString("base64url") : v))
+      .join(":");
+  }
+
+  decrypt(value) {
+    if (value === null || value === undefined || value === "") return null;
+    if (!SsnCipher.isEncrypted(value)) {
+      throw new Error("Value is not an encrypted SSN");
+    }
+
+    const [, keyId, iv, tag, data] = value.split(":");
+    const key = this.keys.get(keyId);
+    if (!key) throw new Error(`Unknown SSN encryption key "${keyId}"`);
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  // True when the value is already encrypted under the active key.
+  isCurrent(value) {
+    return SsnCipher.isEncrypted(value) && value.split(":")[1] === this.activeKeyId;
+  }
+
+  // Re-encrypts legacy cleartext and values under retired keys; returns null if nothing to do.
+  reencrypt(value) {
+    if (value === null || value === undefined || value === "" || this.isCurrent(value)) {
+      return null;
+    }
+    const plain = SsnCipher.isEncrypted(value) ? this.decrypt(value) : value;
+    return this.encrypt(plain);
+  }
+}
+
+function ssnLast4(plain) {
+  const digits = String(plain || "").replace(/\D/g, "");
+  return digits.length >= 4 ? digits.slice(-4) : null;
+}
+
+module.exports = { SsnCipher, parseKeys, ssnLast4 };
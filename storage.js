@@ -0,0 +1,381 @@
+// storage.js — DOCUMENT FILE STORAGE (local disk or S3-compatible bucket)
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// Infected uploads are kept under this prefix for review instead of being stored as documents.
+const QUARANTINE_PREFIX = "quarantine/";
+
+/**
+ * Every backend stores whole files under a key (the documents' stored_filename):
+ *   put(key, stream, size)  -> stores the stream, replacing any existing object
+ *   get(key)                -> { stream, size } or null when missing (size may be null)
+ *   readHead(key, length)   -> the first `length` bytes as a Buffer, or null when missing
+ *   remove(key)             -> true if something was deleted
+ *   exists(key)             -> boolean
+ *   list(prefix)            -> every key starting with prefix
+ */
+class LocalStorage {
+  constructor({ dir }) {
+    this.name = "local";
+    this.dir = path.resolve(dir);
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  pathFor(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async put(key, stream) {
+    const filePath = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write beside the target and rename so a reader never sees half a file.
+    const partial = `${filePath}.${crypto.randomBytes(4).toString("hex")}.part`;
+    try {
+      await pipeline(stream, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, filePath);
+    } catch (err) {
+      fs.unlink(partial, () => {});
+      throw err;
+    }
+  }
+
+  async get(key) {
+    const filePath = this.pathFor(key);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size: stat.size };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async readHead(key, length) {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.pathFor(key), "r");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    try {
+      const head = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(head, 0, length, 0);
+      return head.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.pathFor(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Only directory prefixes ("quarantine/") are supported; in-progress .part files are skipped.
+  async list(prefix) {
+    const keys = [];
+    const walk = async (relative) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(this.dir, relative), { withFileTypes: true });
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+      for (const entry of entries) {
+        const key = relative + entry.name;
+        if (entry.isDirectory()) await walk(key + "/");
+        else if (!entry.name.endsWith(".part")) keys.push(key);
+      }
+    };
+    await walk(prefix);
+    return keys;
+  }
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+}
+
+/**
+ * Talks to S3 or anything speaking its API (MinIO, R2, Spaces…) with SigV4-signed requests.
+ * Payloads are sent unsigned (UNSIGNED-PAYLOAD) so uploads can stream straight from disk.
+ * Path-style addressing (endpoint/bucket/key) is used whenever a custom endpoint is set.
+ */
+class S3Storage {
+  constructor({
+    bucket,
+    region = "us-east-1",
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    pathStyle = Boolean(endpoint),
+    prefix = "",
+    timeoutMs = 60000,
+  }) {
+    if (!bucket) throw new Error("S3 storage needs a bucket (S3_BUCKET)");
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error("S3 storage needs S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+    this.name = "s3";
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.pathStyle = pathStyle;
+    this.prefix = prefix;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // `key` null addresses the bucket itself (for listing).
+  objectUrl(key, query = {}) {
+    const url = new URL(this.endpoint);
+    const objectPath =
+      key === null ? "" : "/" + (this.prefix + key).split("/").map(encodeRfc3986).join("/");
+    const basePath = url.pathname.replace(/\/$/, "");
+    if (this.pathStyle) {
+      url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}${objectPath}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}${objectPath || "/"}`;
+    }
+    url.search = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+    return url;
+  }
+
+  // Adds x-amz-date, x-amz-content-sha256 and Authorization to `headers` (lowercase names).
+  sign(method, url, headers) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const signed = {
+      ...headers,
+      host: url.host,
+      "x-amz-date": amzDate,
+      "x-amz-content-sha256": "UNSIGNED-PAYLOAD",
+    };
+
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.search.slice(1),
+      names.map((n) => `${n}:${String(signed[n]).trim()}\n`).join(""),
+      names.join(";"),
+      "UNSIGNED-PAYLOAD",
+    ].join("\n");
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+      hmac,
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+
+    signed.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${names.join(";")}, Signature=${signature}`;
+    return signed;
+  }
+
+  // Resolves with the response (unread) for any status; rejects only on network errors.
+  request(method, key, { headers = {}, body, query } = {}) {
+    return new Promise((resolve, reject) => {
+      const url = this.objectUrl(key, query);
+      const transport = url.protocol === "http:" ? http : https;
+      const req = transport.request(
+        url,
+        { method, headers: this.sign(method, url, headers) },
+        resolve
+      );
+      req.setTimeout(this.timeoutMs, () => req.destroy(new Error("S3 request timed out")));
+      req.on("error", reject);
+
+      if (!body) return req.end();
+      body.on("error", (err) => req.destroy(err));
+      body.pipe(req);
+    });
+  }
+
+  async failure(res, method, key) {
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    const code = Buffer.concat(chunks).toString("utf8").match(/<Code>([^<]+)<\/Code>/);
+    return new Error(
+      `S3 ${method} ${key} failed: ${res.statusCode}${code ? ` ${code[1]}` : ""}`
+    );
+  }
+
+  async put(key, stream, size) {
+    // A PUT must state its length up front. Buffer the rare source that can't say;
+    // documents are capped at 25MB by the upload limit.
+    if (!Number.isSafeInteger(size) || size < 0) {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      const body = Buffer.concat(chunks);
+      stream = Readable.from([body]);
+      size = body.length;
+    }
+
+    const res = await this.request("PUT", key, {
+      headers: { "content-length": size },
+      body: stream,
+    });
+    if (res.statusCode !== 200) throw await this.failure(res, "PUT", key);
+    res.resume();
+  }
+
+  async get(key) {
+    const res = await this.request("GET", key);
+    if (res.statusCode === 404) {
+      res.resume();
+      return null;
+    }
+    if (res.statusCode !== 200) throw await this.failure(res, "GET", key);
+    const length = res.headers["content-length"];
+    return { stream: res, size: length === undefined ? null : Number(length) };
+  }
+
+  async readHead(key, length) {
+    const res = await this.request("GET", key, {
+      headers: { range: `bytes=0-${length - 1}` },
+    });
+    if (res.statusCode === 404) {
+      res.resume();
+      return null;
+    }
+    // Ranges can't be satisfied on an empty object.
+    if (res.statusCode === 416) {
+      res.resume();
+      return Buffer.alloc(0);
+    }
+    if (res.statusCode !== 206 && res.statusCode !== 200) {
+      throw await this.failure(res, "GET", key);
+    }
+
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return Buffer.concat(chunks).subarray(0, length);
+  }
+
+  // S3 deletes are idempotent, so a missing key also counts as removed.
+  async remove(key) {
+    const res = await this.request("DELETE", key);
+    if (res.statusCode !== 204 && res.statusCode !== 200) {
+      throw await this.failure(res, "DELETE", key);
+    }
+    res.resume();
+    return true;
+  }
+
+  // Without s3:ListBucket, S3 answers 403 rather than 404 for a missing key, so both mean "no".
+  async exists(key) {
+    const res = await this.request("HEAD", key);
+    res.resume();
+    if (res.statusCode === 200) return true;
+    if (res.statusCode === 404 || res.statusCode === 403) return false;
+    throw new Error(`S3 HEAD ${key} failed: ${res.statusCode}`);
+  }
+
+  // ListObjectsV2, following continuation tokens; needs s3:ListBucket.
+  async list(prefix) {
+    const keys = [];
+    let token = null;
+    do {
+      const query = { "list-type": "2", prefix: this.prefix + prefix };
+      if (token) query["continuation-token"] = token;
+
+      const res = await this.request("GET", null, { query });
+      if (res.statusCode !== 200) throw await this.failure(res, "LIST", prefix);
+      const chunks = [];
+      for await (const chunk of res) chunks.push(chunk);
+      const xml = Buffer.concat(chunks).toString("utf8");
+
+      for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]).slice(this.prefix.length));
+      }
+      const next = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+      token = /<IsTruncated>true<\/IsTruncated>/.test(xml) && next ? decodeXml(next[1]) : null;
+    } while (token);
+    return keys;
+  }
+}
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "uploads");
+
+/**
+ * STORAGE_BACKEND picks the backend ("local", the default, or "s3"); pass `backend`
+ * to build a specific one regardless, as the migration command does.
+ * local: UPLOAD_DIR (defaults to ./uploads)
+ * s3:    S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, and optionally
+ *        S3_ENDPOINT (e.g. http://localhost:9000 for MinIO), S3_PREFIX, S3_PATH_STYLE
+ */
+function createStorage(env, backend = env.STORAGE_BACKEND || "local") {
+  if (backend === "local") {
+    return new LocalStorage({ dir: env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR });
+  }
+  if (backend === "s3") {
+    return new S3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || "us-east-1",
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      pathStyle: env.S3_PATH_STYLE ? env.S3_PATH_STYLE === "true" : Boolean(env.S3_ENDPOINT),
+      prefix: env.S3_PREFIX || "",
+    });
+  }
+  throw new Error(`Unknown storage backend "${backend}" (expected "local" or "s3")`);
+}
+
+module.exports = { QUARANTINE_PREFIX, LocalStorage, S3Storage, createStorage };
@@ -0,0 +1,202 @@
+// upload-scan.js — UPLOAD CONTENT CHECKS (magic bytes) + MALWARE SCANNER ADAPTERS
+const fs = require("fs");
+const net = require("net");
+
+// Types we accept, keyed by the name detectFileType returns.
+const FILE_TYPES = {
+  pdf: { extensions: [".pdf"], mime: "application/pdf" },
+  jpeg: { extensions: [".jpg", ".jpeg"], mime: "image/jpeg" },
+  png: { extensions: [".png"], mime: "image/png" },
+  heic: { extensions: [".heic", ".heif"], mime: "image/heic" },
+  docx: {
+    extensions: [".docx"],
+    mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+};
+
+// PE, ELF, Mach-O (both byte orders, fat binaries) and scripts with a shebang.
+const EXECUTABLE_SIGNATURES = [
+  [0x4d, 0x5a],
+  [0x7f, 0x45, 0x4c, 0x46],
+  [0xfe, 0xed, 0xfa, 0xce],
+  [0xfe, 0xed, 0xfa, 0xcf],
+  [0xce, 0xfa, 0xed, 0xfe],
+  [0xcf, 0xfa, 0xed, 0xfe],
+  [0xca, 0xfe, 0xba, 0xbe],
+  [0x23, 0x21],
+];
+
+function startsWith(buf, bytes, offset = 0) {
+  return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+// How many leading bytes detectFileTypeFromHead needs.
+const HEAD_BYTES = 16;
+
+/**
+ * Identifies a file from its first HEAD_BYTES bytes. Recognises everything but DOCX,
+ * which is only a zip at this point; returns "zip" for those.
+ */
+function detectFileTypeFromHead(head) {
+  if (EXECUTABLE_SIGNATURES.some((sig) => startsWith(head, sig))) return "executable";
+  if (startsWith(head, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "pdf";
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return "jpeg";
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "png";
+
+  const brand = head.toString("latin1", 4, 12);
+  if (/^ftyp(heic|heix|hevc|mif1|msf1)$/.test(brand)) return "heic";
+
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return "zip";
+  return null;
+}
+
+// Zip end-of-central-directory record: 22 fixed bytes plus a comment of up to 64 KB.
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_EOCD_MAX_BYTES = 22 + 0xffff;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+// A DOCX directory lists a few dozen parts; anything far bigger isn't worth reading.
+const ZIP_DIRECTORY_MAX_BYTES = 1024 * 1024;
+
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * Whether a zip's central directory lists `entryName`. Only the tail of the file and the
+ * directory itself are read; ZIP64 archives and oversized directories count as no match.
+ */
+async function zipHasEntry(handle, fileSize, entryName) {
+  const tailStart = Math.max(0, fileSize - ZIP_EOCD_MAX_BYTES);
+  const tail = await readAt(handle, tailStart, fileSize - tailStart);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i -= 1) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return false;
+
+  const dirSize = tail.readUInt32LE(eocd + 12);
+  const dirOffset = tail.readUInt32LE(eocd + 16);
+  if (dirSize > ZIP_DIRECTORY_MAX_BYTES || dirOffset + dirSize > tailStart + eocd) return false;
+
+  const dir = await readAt(handle, dirOffset, dirSize);
+  let pos = 0;
+  while (pos + 46 <= dir.length && dir.readUInt32LE(pos) === ZIP_ENTRY_SIGNATURE) {
+    const nameLength = dir.readUInt16LE(pos + 28);
+    const name = dir.toString("utf8", pos + 46, pos + 46 + nameLength);
+    if (name === entryName) return true;
+    pos += 46 + nameLength + dir.readUInt16LE(pos + 30) + dir.readUInt16LE(pos + 32);
+  }
+  return false;
+}
+
+/**
+ * Identifies a file from its contents, ignoring the name and the client's mimetype.
+ * Returns "executable", one of the FILE_TYPES keys, or null when unrecognised.
+ */
+async function detectFileType(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const head = await readAt(handle, 0, HEAD_BYTES);
+    const type = detectFileTypeFromHead(head);
+    if (type !== "zip") return type;
+
+    // DOCX is a zip with a Word part; only its central directory is read, never the whole file.
+    const { size } = await handle.stat();
+    return (await zipHasEntry(handle, size, "word/document.xml")) ? "docx" : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+class NoopScanner {
+  constructor() {
+    this.name = "none";
+  }
+
+  async scan() {
+    return { clean: true };
+  }
+}
+
+/**
+ * Streams a file to clamd with INSTREAM over a unix socket or TCP.
+ * Resolves { clean, signature }; rejects when clamd can't be reached or answers oddly.
+ */
+class ClamAvScanner {
+  constructor({ socketPath, host, port = 3310, timeoutMs = 30000 }) {
+    this.name = "clamav";
+    this.target = socketPath ? { path: socketPath } : { host, port: Number(port) };
+    this.timeoutMs = timeoutMs;
+  }
+
+  scan(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.target);
+      const file = fs.createReadStream(filePath);
+      const reply = [];
+      let settled = false;
+
+      const finish = (err, result) => {
+        if (settled) return;
+        settled = true;
+        file.destroy();
+        socket.destroy();
+        if (err) reject(err);
+        else resolve(result);
+      };
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error("ClamAV scan timed out")));
+      socket.on("error", finish);
+      file.on("error", finish);
+      socket.on("data", (chunk) => reply.push(chunk));
+      socket.on("end", () => {
+        const text = Buffer.concat(reply).toString("utf8").replace(/\0/g, "").trim();
+        const found = text.match(/^stream: (.+) FOUND$/);
+        if (found) return finish(null, { clean: false, signature: found[1] });
+        if (text === "stream: OK") return finish(null, { clean: true });
+        return finish(new Error(`Unexpected ClamAV reply: ${text}`));
+      });
+
+      socket.on("connect", () => {
+        socket.write("zINSTREAM\0");
+        file.on("data", (chunk) => {
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          if (!socket.write(Buffer.concat([size, chunk]))) {
+            file.pause();
+            socket.once("drain", () => file.resume());
+          }
+        });
+        file.on("end", () => socket.write(Buffer.alloc(4)));
+      });
+    });
+  }
+}
+
+// CLAMAV_SOCKET (unix socket path) or CLAMAV_HOST[/CLAMAV_PORT] enables ClamAV.
+function createScanner(env) {
+  if (env.CLAMAV_SOCKET || env.CLAMAV_HOST) {
+    return new ClamAvScanner({
+      socketPath: env.CLAMAV_SOCKET,
+      host: env.CLAMAV_HOST,
+      port: env.CLAMAV_PORT || 3310,
+    });
+  }
+  return new NoopScanner();
+}
+
+module.exports = {
+  FILE_TYPES,
+  HEAD_BYTES,
+  detectFileTypeFromHead,
+  detectFileType,
+  NoopScanner,
+  ClamAvScanner,
+  createScanner,
+};